@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const { buildVectorIndex, saveVectorIndex, VECTOR_INDEX_PATH } = require('../src/services/similarityService');
+const { createEmbedder } = require('../src/services/embeddingService');
+
+/**
+ * Embeds every corpus chunk and persists the vectors to data/vector_index.json.
+ * Re-run after editing data/corpus_chunks.json; the server detects a stale index
+ * by corpus hash and falls back to embedding in memory until it is rebuilt.
+ *
+ * Select a different embedder with EMBEDDING_PROVIDER (default: hashed-ngram).
+ */
+async function buildIndex() {
+  const corpusPath = path.join(__dirname, '../data/corpus_chunks.json');
+  const corpus = JSON.parse(fs.readFileSync(corpusPath, 'utf8'));
+  const embedder = createEmbedder();
+
+  console.log(`📚 Embedding ${corpus.length} chunks with '${embedder.name}' (${embedder.dimensions} dimensions)`);
+
+  const index = await buildVectorIndex(corpus, embedder);
+  saveVectorIndex(index);
+
+  console.log(`✅ Wrote vector index to ${path.relative(process.cwd(), VECTOR_INDEX_PATH)}`);
+  console.log(`🔑 Corpus hash: ${index.corpusHash}`);
+  return index;
+}
+
+// Run index build if called directly
+if (require.main === module) {
+  buildIndex()
+    .then(() => {
+      console.log('\n✅ Vector index build completed!');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('❌ Vector index build failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { buildIndex };
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const {
+  loadCorpus,
+  saveCorpus,
+  validateCorpus,
+  addChunks,
+  removeChunks,
+  corpusStats,
+  exportCorpus,
+  EXPORT_FORMATS
+} = require('../src/services/corpusService');
+
+const USAGE = `
+Usage: node scripts/corpus.js <command> [options]
+
+Commands:
+  add <file> [--replace]                  Add chunks from a JSON (object or array) or JSONL file.
+                                          Existing ids are skipped unless --replace is given.
+  remove <id> [<id>...]                   Remove chunks by id
+  list [--topic <t>] [--source <s>]       List chunk ids with source and topic
+  validate                                Check schema, empty text and duplicate ids
+  stats                                   Chunk counts per topic and source
+  export [--format jsonl|csv] [--out f]   Export the corpus (default: jsonl to stdout)
+`.trim();
+
+/**
+ * Splits argv into positional arguments and --flags
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+    } else if (arg === '--replace') {
+      flags.replace = true;
+    } else {
+      flags[arg.slice(2)] = argv[++i];
+    }
+  }
+
+  return { positional, flags };
+}
+
+/**
+ * Reads chunks from a JSON file (single chunk or array) or a JSONL file
+ */
+function readChunksFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8').trim();
+  if (filePath.endsWith('.jsonl')) {
+    return raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+  const parsed = JSON.parse(raw);
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+function printValidation(validation) {
+  if (validation.ok) {
+    console.log('✅ Corpus is valid');
+    return;
+  }
+  console.log(`❌ Found ${validation.errors.length} problems:`);
+  validation.errors.forEach(({ index, id, message }) => {
+    console.log(`   [${index}] ${id || '(no id)'}: ${message}`);
+  });
+}
+
+const commands = {
+  add({ positional, flags }) {
+    const [file] = positional;
+    if (!file) throw new Error('add requires a file of chunks');
+
+    const corpus = loadCorpus();
+    const result = addChunks(corpus, readChunksFile(file), { replace: Boolean(flags.replace) });
+
+    result.invalid.forEach(({ id, errors }) => console.log(`⚠️ Invalid chunk ${id || '(no id)'}: ${errors.join('; ')}`));
+    result.skipped.forEach(chunk => console.log(`⏭️  Skipped existing id: ${chunk.id}`));
+    result.replaced.forEach(chunk => console.log(`🔁 Replaced: ${chunk.id}`));
+    result.added.forEach(chunk => console.log(`➕ Added: ${chunk.id}`));
+
+    if (result.added.length + result.replaced.length > 0) {
+      saveCorpus(result.corpus);
+      console.log(`📊 Total corpus size: ${result.corpus.length} chunks`);
+    }
+    return result.invalid.length === 0;
+  },
+
+  remove({ positional }) {
+    if (positional.length === 0) throw new Error('remove requires at least one id');
+
+    const result = removeChunks(loadCorpus(), positional);
+    result.missing.forEach(id => console.log(`⚠️ No chunk with id: ${id}`));
+    result.removed.forEach(id => console.log(`➖ Removed: ${id}`));
+
+    if (result.removed.length > 0) {
+      saveCorpus(result.corpus);
+      console.log(`📊 Total corpus size: ${result.corpus.length} chunks`);
+    }
+    return result.missing.length === 0;
+  },
+
+  list({ flags }) {
+    const matches = (value, wanted) => !wanted || (value || '').toLowerCase().includes(wanted.toLowerCase());
+    const chunks = loadCorpus().filter(chunk =>
+      matches(chunk.metadata?.topic, flags.topic) && matches(chunk.metadata?.source, flags.source)
+    );
+
+    chunks.forEach(chunk => {
+      console.log(`${chunk.id}\t${chunk.metadata?.source || ''}\t${chunk.metadata?.topic || ''}`);
+    });
+    console.log(`\n${chunks.length} chunks`);
+    return true;
+  },
+
+  validate() {
+    const validation = validateCorpus(loadCorpus());
+    printValidation(validation);
+    return validation.ok;
+  },
+
+  stats() {
+    const stats = corpusStats(loadCorpus());
+    console.log(`📚 Total chunks: ${stats.total}`);
+    console.log(`📏 Average length: ${stats.averageLength} characters`);
+    console.log('\n🏷️  By topic:');
+    Object.entries(stats.byTopic).forEach(([topic, count]) => console.log(`   ${topic}: ${count}`));
+    console.log('\n📖 By source:');
+    Object.entries(stats.bySource).forEach(([source, count]) => console.log(`   ${source}: ${count}`));
+    return true;
+  },
+
+  export({ flags }) {
+    const format = flags.format || 'jsonl';
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown export format: ${format}. Available formats: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const output = exportCorpus(loadCorpus(), format);
+    if (flags.out) {
+      fs.writeFileSync(flags.out, output);
+      console.log(`✅ Exported corpus to ${flags.out}`);
+    } else {
+      process.stdout.write(output);
+    }
+    return true;
+  }
+};
+
+function runCorpusCommand(argv = process.argv.slice(2)) {
+  const [command, ...rest] = argv;
+  if (!command || !commands[command]) {
+    console.log(USAGE);
+    return command === undefined;
+  }
+  return commands[command](parseArgs(rest));
+}
+
+// Run command if called directly
+if (require.main === module) {
+  try {
+    process.exit(runCorpusCommand() ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Corpus command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { runCorpusCommand, commands };
@@ -11,13 +11,13 @@ const RTFCPromptEngine = require('../src/prompts/rtfcPrompt');
 const sampleChunks = [
   {
     id: "basic_structure_1",
-    source: "Kesavananda Bharati Case (1973)",
-    content: "The Basic Structure Doctrine was established by the Supreme Court in Kesavananda Bharati v. State of Kerala (1973). It holds that while Parliament has the power to amend the Constitution under Article 368, it cannot alter the 'basic structure' or fundamental features of the Constitution."
+    text: "The Basic Structure Doctrine was established by the Supreme Court in Kesavananda Bharati v. State of Kerala (1973). It holds that while Parliament has the power to amend the Constitution under Article 368, it cannot alter the 'basic structure' or fundamental features of the Constitution.",
+    metadata: { source: "Kesavananda Bharati Case (1973)" }
   },
   {
     id: "article368_1", 
-    source: "Constitution of India, Article 368",
-    content: "Article 368 provides the procedure for amending the Constitution. Constitutional amendments require a two-thirds majority of members present and voting in each house of Parliament."
+    text: "Article 368 provides the procedure for amending the Constitution. Constitutional amendments require a two-thirds majority of members present and voting in each house of Parliament.",
+    metadata: { source: "Constitution of India, Article 368" }
   }
 ];
 
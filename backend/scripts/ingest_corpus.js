@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  ingestDocument,
+  mergeChunks,
+  SUPPORTED_EXTENSIONS,
+  DEFAULT_MAX_CHARS,
+  DEFAULT_OVERLAP
+} = require('../src/services/ingestionService');
+const { loadCorpus, saveCorpus } = require('../src/services/corpusService');
+
+const USAGE = `
+Usage: node scripts/ingest_corpus.js [options] <file-or-directory>...
+
+Chunks plain text, Markdown and HTML documents (${SUPPORTED_EXTENSIONS.join(', ')})
+into data/corpus_chunks.json.
+
+Options:
+  --dry-run          Show the diff against the corpus without writing it
+  --source <name>    Source label for every chunk (default: inferred)
+  --topic <name>     Topic for every chunk (default: taken from headings)
+  --max-chars <n>    Maximum chunk length (default: ${DEFAULT_MAX_CHARS})
+  --overlap <n>      Characters shared between consecutive chunks (default: ${DEFAULT_OVERLAP})
+  --help             Show this message
+`.trim();
+
+function parseArgs(argv) {
+  const options = { dryRun: false, inputs: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--source':
+        options.source = argv[++i];
+        break;
+      case '--topic':
+        options.topic = argv[++i];
+        break;
+      case '--max-chars':
+        options.maxChars = parseInt(argv[++i], 10);
+        break;
+      case '--overlap':
+        options.overlap = parseInt(argv[++i], 10);
+        break;
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        options.inputs.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Expands directories into the supported files they contain, in sorted order
+ */
+function collectFiles(inputs) {
+  return inputs.flatMap(input => {
+    if (!fs.existsSync(input)) throw new Error(`File not found: ${input}`);
+    if (!fs.statSync(input).isDirectory()) return [input];
+    return fs.readdirSync(input)
+      .sort()
+      .map(name => path.join(input, name))
+      .filter(file => SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+  });
+}
+
+const preview = text => (text.length > 100 ? `${text.slice(0, 100)}...` : text);
+
+function printDiff({ added, updated, unchanged }) {
+  added.forEach(chunk => {
+    console.log(`+ ${chunk.id}  ${JSON.stringify(chunk.metadata)}`);
+    console.log(`    ${preview(chunk.text)}`);
+  });
+  updated.forEach(({ before, after }) => {
+    console.log(`~ ${after.id}`);
+    if (before.text !== after.text) {
+      console.log(`  - ${preview(before.text)}`);
+      console.log(`  + ${preview(after.text)}`);
+    }
+    if (JSON.stringify(before.metadata) !== JSON.stringify(after.metadata)) {
+      console.log(`  - ${JSON.stringify(before.metadata)}`);
+      console.log(`  + ${JSON.stringify(after.metadata)}`);
+    }
+  });
+  console.log(`\n📊 ${added.length} added, ${updated.length} updated, ${unchanged.length} unchanged`);
+}
+
+function ingestCorpus(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  if (options.help || options.inputs.length === 0) {
+    console.log(USAGE);
+    return null;
+  }
+
+  const files = collectFiles(options.inputs);
+  const incoming = files.flatMap(file => {
+    const chunks = ingestDocument(file, options);
+    console.log(`📄 ${file}: ${chunks.length} chunks`);
+    return chunks;
+  });
+
+  const result = mergeChunks(loadCorpus(), incoming);
+
+  console.log('');
+  printDiff(result);
+
+  if (options.dryRun) {
+    console.log('🔎 Dry run - corpus not modified');
+    return result;
+  }
+
+  if (result.added.length === 0 && result.updated.length === 0) {
+    console.log('✅ No changes - corpus is up to date');
+    return result;
+  }
+
+  saveCorpus(result.corpus);
+  console.log(`✅ Wrote ${result.corpus.length} chunks to data/corpus_chunks.json`);
+  console.log('💡 Run `node scripts/build_vector_index.js` to refresh the vector index');
+  return result;
+}
+
+// Run ingestion if called directly
+if (require.main === module) {
+  try {
+    ingestCorpus();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Corpus ingestion failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { ingestCorpus, parseArgs };
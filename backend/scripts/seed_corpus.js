@@ -1,5 +1,4 @@
-const fs = require('fs');
-const path = require('path');
+const { loadCorpus, saveCorpus, addChunks } = require('../src/services/corpusService');
 
 // Additional corpus chunks for seeding
 const additionalChunks = [
@@ -35,41 +34,38 @@ const additionalChunks = [
 ];
 
 function seedCorpus() {
-  const corpusPath = path.join(__dirname, '../data/corpus_chunks.json');
-  
   try {
     // Read existing corpus
-    let existingCorpus = [];
-    if (fs.existsSync(corpusPath)) {
-      const data = fs.readFileSync(corpusPath, 'utf8');
-      existingCorpus = JSON.parse(data);
+    const existingCorpus = loadCorpus();
+    if (existingCorpus.length > 0) {
       console.log(`📚 Found existing corpus with ${existingCorpus.length} chunks`);
     }
 
-    // Check for duplicates
-    const existingIds = new Set(existingCorpus.map(chunk => chunk.id));
-    const newChunks = additionalChunks.filter(chunk => !existingIds.has(chunk.id));
+    // Add new chunks, skipping ids that already exist
+    const result = addChunks(existingCorpus, additionalChunks);
 
-    if (newChunks.length === 0) {
+    result.invalid.forEach(({ id, errors }) => {
+      console.warn(`⚠️ Skipping invalid chunk ${id}: ${errors.join('; ')}`);
+    });
+
+    if (result.added.length === 0) {
       console.log('✅ No new chunks to add - corpus is up to date');
-      return;
+      return result;
     }
 
-    // Add new chunks
-    const updatedCorpus = [...existingCorpus, ...newChunks];
-    
     // Write back to file
-    fs.writeFileSync(corpusPath, JSON.stringify(updatedCorpus, null, 2));
-    
-    console.log(`✅ Added ${newChunks.length} new chunks to corpus`);
-    console.log(`📊 Total corpus size: ${updatedCorpus.length} chunks`);
-    
+    saveCorpus(result.corpus);
+
+    console.log(`✅ Added ${result.added.length} new chunks to corpus`);
+    console.log(`📊 Total corpus size: ${result.corpus.length} chunks`);
+
     // Log new chunk IDs
     console.log('📝 New chunks added:');
-    newChunks.forEach(chunk => {
+    result.added.forEach(chunk => {
       console.log(`   - ${chunk.id}: ${chunk.metadata.topic}`);
     });
 
+    return result;
   } catch (error) {
     console.error('❌ Error seeding corpus:', error);
     throw error;
@@ -78,15 +74,14 @@ function seedCorpus() {
 
 // Run seeding if called directly
 if (require.main === module) {
-  seedCorpus()
-    .then(() => {
-      console.log('\n✅ Corpus seeding completed!');
-      process.exit(0);
-    })
-    .catch(error => {
-      console.error('❌ Corpus seeding failed:', error);
-      process.exit(1);
-    });
+  try {
+    seedCorpus();
+    console.log('\n✅ Corpus seeding completed!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Corpus seeding failed:', error);
+    process.exit(1);
+  }
 }
 
 module.exports = { seedCorpus, additionalChunks };
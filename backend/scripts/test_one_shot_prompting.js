@@ -9,19 +9,19 @@
  */
 
 const OneShotPromptEngine = require('../src/prompts/oneShotPrompt');
-const ZeroShotPromptEngine = require('../src/prompts/zeroShotPrompt');
+const { ZeroShotPromptEngine } = require('../src/prompts/zeroShotPrompt');
 
 // Mock retrieved chunks for testing
 const mockRetrievedChunks = [
   {
     id: "basic_structure_1",
-    source: "Kesavananda Bharati Case",
-    content: "The Basic Structure Doctrine was established by the Supreme Court in Kesavananda Bharati v. State of Kerala (1973). It holds that while Parliament has the power to amend the Constitution under Article 368, it cannot alter the 'basic structure' or fundamental features of the Constitution."
+    text: "The Basic Structure Doctrine was established by the Supreme Court in Kesavananda Bharati v. State of Kerala (1973). It holds that while Parliament has the power to amend the Constitution under Article 368, it cannot alter the 'basic structure' or fundamental features of the Constitution.",
+    metadata: { source: "Kesavananda Bharati Case" }
   },
   {
     id: "article368_1",
-    source: "Constitution of India, Article 368",
-    content: "Article 368 provides the procedure for amending the Constitution. Constitutional amendments require a two-thirds majority of members present and voting in each house of Parliament."
+    text: "Article 368 provides the procedure for amending the Constitution. Constitutional amendments require a two-thirds majority of members present and voting in each house of Parliament.",
+    metadata: { source: "Constitution of India, Article 368" }
   }
 ];
 
@@ -172,7 +172,7 @@ async function compareApproaches() {
   const oneShotExample = oneShotEngine.getExample('debate');
   
   // Generate zero-shot prompt
-  const zeroShotPrompt = zeroShotEngine.generatePrompt('debate', parameters);
+  const zeroShotPrompt = zeroShotEngine.generateZeroShotPrompt('debate', topic, parameters.proficiency, parameters.retrievedChunks).messages;
   
   console.log('ONE-SHOT APPROACH:');
   console.log('- Provides 1 example to guide AI response');
@@ -10,6 +10,7 @@
  */
 
 const { callGemini, getOptimalTemperature, TEMPERATURE_PRESETS } = require('../src/services/geminiService');
+const { retrieveChunks } = require('../src/services/similarityService');
 
 // Sample messages for testing
 const sampleMessages = [
@@ -197,6 +198,9 @@ function testContextTemperatureRanges() {
  */
 async function testAPICallWithTemperature() {
   console.log('🚀 API CALL WITH TEMPERATURE OPTIMIZATION TESTING\n');
+
+  // The mock provider answers from these
+  const retrievedChunks = await retrieveChunks('Basic Structure Doctrine', { topK: 2 });
   
   const testConfigs = [
     {
@@ -231,7 +235,8 @@ async function testAPICallWithTemperature() {
         messages: sampleMessages,
         context: config.context,
         taskType: config.taskType,
-        proficiency: config.proficiency
+        proficiency: config.proficiency,
+        retrievedChunks
       });
       
       console.log(`  Temperature Used: ${result.temperature}`);
@@ -34,7 +34,7 @@ function testQueryComplexityAnalysis() {
     const analyzedComplexity = analyzeQueryComplexity(query);
     console.log(`Query: "${query}"`);
     console.log(`  Expected: ${complexity}`);
-    console.log(`  Analyzed: ${analyzedComplexity}`);
+    console.log(`  Analyzed: ${analyzedComplexity.complexity}`);
     console.log(`  Words: ${query.trim().split(/\s+/).length}`);
     console.log(`  Has Complex Terms: ${/(doctrine|jurisdiction|constitutional|amendment|fundamental)/i.test(query)}`);
     console.log(`  Has Multiple Concepts: ${/(and|or|versus|compared|difference)/i.test(query)}`);
@@ -218,7 +218,7 @@ function testRealWorldScenarios() {
     console.log(`  Context: ${scenario.context}`);
     console.log(`  Task: ${scenario.taskType}`);
     console.log(`  Proficiency: ${scenario.proficiency}`);
-    console.log(`  Complexity: ${complexity}`);
+    console.log(`  Complexity: ${complexity.complexity}`);
     console.log(`  Optimal Top K: ${optimalTopK}`);
     console.log('');
   });
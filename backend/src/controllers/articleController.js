@@ -0,0 +1,212 @@
+// backend/src/controllers/articleController.js
+const { getCorpus, updateCorpus, validateChunk, addChunks, removeChunks } = require('../services/corpusService');
+const { retrieveChunks, validateMetric, validateRetrievalMode } = require('../services/similarityService');
+const { matchesFilters } = require('../utils/metadataFilter');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * List corpus chunks, paginated and optionally filtered by topic, part or source
+ */
+async function listArticles(req, res) {
+  try {
+    const { topic, part, source } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+    const filters = { topic, part, source };
+    const matching = getCorpus().filter(chunk => matchesFilters(chunk, filters));
+    const start = (page - 1) * limit;
+
+    return res.json({
+      ok: true,
+      data: matching.slice(start, start + limit),
+      pagination: {
+        page,
+        limit,
+        total: matching.length,
+        totalPages: Math.ceil(matching.length / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Article listing error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Get a single corpus chunk by id
+ */
+async function getArticle(req, res) {
+  const article = getCorpus().find(chunk => chunk.id === req.params.id);
+
+  if (!article) {
+    return res.status(404).json({
+      ok: false,
+      error: `Article not found: ${req.params.id}`
+    });
+  }
+
+  return res.json({ ok: true, data: article });
+}
+
+/**
+ * Search the corpus with the same retriever the debate endpoints use
+ */
+async function searchArticles(req, res) {
+  try {
+    const { q, metric = 'bm25', mode = 'lexical' } = req.query;
+    const topK = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 10));
+
+    if (!q) {
+      return res.status(400).json({
+        ok: false,
+        error: 'Query parameter q is required'
+      });
+    }
+
+    const metricCheck = validateMetric(metric);
+    if (!metricCheck.ok) {
+      return res.status(400).json({
+        ok: false,
+        error: metricCheck.error,
+        availableMetrics: metricCheck.availableMetrics
+      });
+    }
+
+    const modeCheck = validateRetrievalMode(mode);
+    if (!modeCheck.ok) {
+      return res.status(400).json({
+        ok: false,
+        error: modeCheck.error,
+        availableModes: modeCheck.availableModes
+      });
+    }
+
+    const results = await retrieveChunks(q, { topK, metric, mode });
+
+    return res.json({
+      ok: true,
+      data: results,
+      metadata: {
+        query: q,
+        metric,
+        retrievalMode: mode,
+        results: results.length
+      }
+    });
+  } catch (error) {
+    console.error('Article search error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Add a chunk to the corpus
+ */
+async function createArticle(req, res) {
+  try {
+    const chunk = { id: req.body.id, text: req.body.text, metadata: req.body.metadata };
+
+    const errors = validateChunk(chunk);
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: 'Invalid article', details: errors });
+    }
+
+    const result = addChunks(getCorpus(), [chunk]);
+    if (result.skipped.length > 0) {
+      return res.status(409).json({
+        ok: false,
+        error: `Article already exists: ${chunk.id}`
+      });
+    }
+
+    updateCorpus(result.corpus);
+
+    return res.status(201).json({ ok: true, data: chunk });
+  } catch (error) {
+    console.error('Article creation error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Replace the text and metadata of an existing chunk
+ */
+async function updateArticle(req, res) {
+  try {
+    const { id } = req.params;
+    const corpus = getCorpus();
+    const existing = corpus.find(chunk => chunk.id === id);
+
+    if (!existing) {
+      return res.status(404).json({
+        ok: false,
+        error: `Article not found: ${id}`
+      });
+    }
+
+    const chunk = { id, text: req.body.text, metadata: req.body.metadata };
+
+    const errors = validateChunk(chunk);
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: 'Invalid article', details: errors });
+    }
+
+    updateCorpus(addChunks(corpus, [chunk], { replace: true }).corpus);
+
+    return res.json({ ok: true, data: chunk });
+  } catch (error) {
+    console.error('Article update error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Remove a chunk from the corpus
+ */
+async function deleteArticle(req, res) {
+  try {
+    const { id } = req.params;
+    const result = removeChunks(getCorpus(), [id]);
+
+    if (result.removed.length === 0) {
+      return res.status(404).json({
+        ok: false,
+        error: `Article not found: ${id}`
+      });
+    }
+
+    updateCorpus(result.corpus);
+
+    return res.json({ ok: true, data: { id } });
+  } catch (error) {
+    console.error('Article deletion error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+module.exports = {
+  listArticles,
+  getArticle,
+  searchArticles,
+  createArticle,
+  updateArticle,
+  deleteArticle
+};
@@ -0,0 +1,177 @@
+// backend/src/controllers/configController.js
+const { readRequestOptions, checkGenerateOptions, callOptionsFor } = require('./debateController');
+const { resolveCallConfig } = require('../services/geminiService');
+const { describePresets } = require('../services/generationConfigService');
+const { getProvider, getDefaultProvider } = require('../services/llmService');
+const { findPreset, savePreset, removePreset, validatePreset } = require('../services/presetService');
+
+/**
+ * Resolve the generation config for a /api/debate/generate body without
+ * retrieving or calling the LLM, with the steps behind each value and the
+ * experiment variant whose settings were applied
+ */
+async function resolveConfig(req, res) {
+  try {
+    const options = readRequestOptions(req);
+
+    const invalid = checkGenerateOptions(options);
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
+    }
+
+    const provider = options.provider || getDefaultProvider();
+    const { model } = getProvider(provider);
+    const config = resolveCallConfig(callOptionsFor(options), model);
+
+    console.log(`🎛️ Resolved config for "${options.query.substring(0, 50)}": temperature ${config.temperature}, ` +
+      `Top P ${config.topP}, retrieval Top K ${config.topK.retrieval} (${provider}/${model})`);
+
+    return res.json({
+      ok: true,
+      data: {
+        provider,
+        model,
+        experiment: options.assignment
+          ? { name: options.assignment.experiment, variant: options.assignment.variant, settings: options.assignment.settings }
+          : null,
+        ...config
+      }
+    });
+  } catch (error) {
+    console.error('Config resolve error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * List every context/task type preset, built-in and user-defined, with its
+ * recommended ranges
+ */
+async function getPresets(req, res) {
+  try {
+    return res.json({
+      ok: true,
+      ...describePresets()
+    });
+  } catch (error) {
+    console.error('Preset listing error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Get a user-defined preset by name
+ */
+async function getPreset(req, res) {
+  const preset = findPreset(req.params.name);
+
+  if (!preset) {
+    return res.status(404).json({
+      ok: false,
+      error: `Preset not found: ${req.params.name}`
+    });
+  }
+
+  return res.json({ ok: true, data: preset });
+}
+
+/**
+ * Add a user-defined preset, selectable with `context: "<name>"`
+ */
+async function createPreset(req, res) {
+  try {
+    const { name, description, basedOn, taskTypes } = req.body;
+    const preset = { name, description, basedOn, taskTypes };
+
+    const errors = validatePreset(preset);
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: 'Invalid preset', details: errors });
+    }
+
+    if (findPreset(name)) {
+      return res.status(409).json({
+        ok: false,
+        error: `Preset already exists: ${name}`
+      });
+    }
+
+    return res.status(201).json({ ok: true, data: savePreset(preset) });
+  } catch (error) {
+    console.error('Preset creation error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Replace the description, basedOn and task type values of a preset
+ */
+async function updatePreset(req, res) {
+  try {
+    const { name } = req.params;
+
+    if (!findPreset(name)) {
+      return res.status(404).json({
+        ok: false,
+        error: `Preset not found: ${name}`
+      });
+    }
+
+    const { description, basedOn, taskTypes } = req.body;
+    const preset = { name, description, basedOn, taskTypes };
+
+    const errors = validatePreset(preset);
+    if (errors.length > 0) {
+      return res.status(400).json({ ok: false, error: 'Invalid preset', details: errors });
+    }
+
+    return res.json({ ok: true, data: savePreset(preset) });
+  } catch (error) {
+    console.error('Preset update error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Remove a user-defined preset
+ */
+async function deletePreset(req, res) {
+  try {
+    const { name } = req.params;
+
+    if (!removePreset(name)) {
+      return res.status(404).json({
+        ok: false,
+        error: `Preset not found: ${name}`
+      });
+    }
+
+    return res.json({ ok: true, data: { name } });
+  } catch (error) {
+    console.error('Preset deletion error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+module.exports = {
+  resolveConfig,
+  getPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset
+};
@@ -1,588 +1,743 @@
 // backend/src/controllers/debateController.js
-const { callGemini } = require('../services/geminiService');
-const { retrieveChunks } = require('../services/similarityService');
-const { buildChainMessages } = require('../prompts/chainOfThoughtPrompt');
-const { ZeroShotPromptEngine } = require('../prompts/zeroShotPrompt');
-const { callGemini, getOptimalTopP } = require('../services/geminiService');
-
-const { callGemini, getOptimalTopK } = require('../services/geminiService');
-
-const { safeParseJSONMaybe, validateDebateSchema } = require('../utils/jsonValidator');
-
-// Initialize zero-shot prompt engine
-const zeroShotPromptEngine = new ZeroShotPromptEngine();
-const { DynamicPromptEngine } = require('../prompts/dynamicPrompt');
-
-const { DynamicPromptEngine } = require('../prompts/dynamicPrompt');
-const { safeParseJSONMaybe } = require('../utils/jsonValidator');
-
-
-// Initialize prompting engines
-const zeroShotPromptEngine = new ZeroShotPromptEngine();
-const dynamicPromptEngine = new DynamicPromptEngine();
-
-// Load corpus data for retrieval
-const corpus = require('../../data/corpus_chunks.json');
+const { callGemini, resolveCallConfig, resolveOutputMode } = require('../services/geminiService');
+const { resolveGenerationConfig, validateContext, validateOverrides } = require('../services/generationConfigService');
+const { validateProvider, getProvider, getDefaultProvider } = require('../services/llmService');
+const { getCorpusVersion } = require('../services/corpusService');
+const { lookupResponse, cachedResponse, storeResponse } = require('../services/responseCacheService');
+const { recordUsage } = require('../services/usageService');
+const { assignVariant, recordOutcome } = require('../services/experimentService');
+const { strategyForRequest, validateStrategy, validateStrategyOptions, buildPrompt, outputSchemaFor, validateStrategyResponse, describeStrategies } = require('../services/promptStrategyService');
+const { retrieveChunks, validateMetric, validateRetrievalMode, validateMMRLambda, resolveMMRLambda } = require('../services/similarityService');
+const { validateFilters, detectArticleReferences } = require('../utils/metadataFilter');
+const { verifyCitations } = require('../utils/citationVerifier');
+const { parseWithRepair } = require('../services/outputRepairService');
+const { TASK_SCHEMAS } = require('../utils/taskSchemas');
+const { extractPartialStrings } = require('../utils/partialJson');
+const { estimateMessagesTokens, planPromptBudget, fitChunksToBudget } = require('../utils/tokenBudget');
+
+// Debate fields shown progressively while /generate/stream is running
+const STREAMED_FIELDS = ['stance', 'counterStance'];
 
+/**
+ * Retrieve corpus chunks for a request, resolving the optimal Top K first
+ */
+async function retrieveForRequest(query, topK = null, context = 'constitutionalEducation', taskType = 'debate', proficiency = 'intermediate', metric = 'cosine', retrievalMode = 'lexical', mmrLambda = null, filters = {}) {
+  // Get optimal Top K if not explicitly provided (the same value callGemini reports)
+  const optimalTopK = resolveGenerationConfig({ context, taskType, proficiency, query, overrides: { retrievalTopK: topK } }).topK.retrieval;
 
-// Enhanced retrieval function with Top P optimization
-function retrieveChunks(query, topK = 4, context = 'constitutionalEducation', taskType = 'debate', proficiency = 'intermediate') {
-  console.log(`🔍 Retrieval Configuration:`);
-  console.log(`  Query: "${query.substring(0, 50)}${query.length > 50 ? '...' : ''}"`);
-  console.log(`  Top K: ${topK}`);
-// Enhanced retrieval function with Top K optimization
-function retrieveChunks(query, topK = 4, context = 'constitutionalEducation', taskType = 'debate', proficiency = 'intermediate') {
-  // Get optimal Top K if not explicitly provided
-  const optimalTopK = getOptimalTopK(context, taskType, 'moderate', proficiency, topK);
-  
   console.log(`🔍 Retrieval Configuration:`);
   console.log(`  Query: "${query.substring(0, 50)}${query.length > 50 ? '...' : ''}"`);
   console.log(`  Requested Top K: ${topK}`);
   console.log(`  Optimal Top K: ${optimalTopK}`);
-
   console.log(`  Context: ${context}`);
   console.log(`  Task Type: ${taskType}`);
   console.log(`  Proficiency: ${proficiency}`);
+  console.log(`  Metric: ${metric}`);
+  console.log(`  Retrieval Mode: ${retrievalMode}`);
+  console.log(`  MMR Lambda: ${mmrLambda !== null ? mmrLambda : 'Not applied'}`);
+  console.log(`  Filters: ${JSON.stringify(filters)}`);
+
+  const chunks = await retrieveChunks(query, { topK: optimalTopK, metric, mode: retrievalMode, mmrLambda, filters });
+  if (chunks.length === 0 && filters && Object.keys(filters).length > 0) {
+    console.warn(`⚠️ Filters ${JSON.stringify(filters)} matched no corpus chunks`);
+  }
+  return chunks;
+}
 
-  // Simple keyword matching for demo (can be enhanced with vector search)
-  const queryLower = query.toLowerCase();
-  const scoredChunks = corpus.map(chunk => {
-    const textLower = chunk.text.toLowerCase();
-    let score = 0;
-    
-    // Simple keyword scoring
-    const keywords = queryLower.split(' ');
-    keywords.forEach(keyword => {
-      if (textLower.includes(keyword)) score += 1;
-    });
-    
-    // Bonus for constitutional terms
-    if (/(constitution|amendment|article|fundamental|rights|doctrine)/i.test(chunk.text)) {
-      score += 0.5;
-    }
-    
-    return { ...chunk, score };
+/**
+ * The user a request is accounted to in the usage ledger (X-User-Id header)
+ */
+function requestUser(req) {
+  return req.get('X-User-Id') || 'anonymous';
+}
+
+/**
+ * Ask the model to fix its own output; repairs run at temperature 0 so the fix
+ * changes as little as possible
+ */
+function repairWithGemini({ context, taskType, outputTaskType, proficiency, provider, signal, usageContext, outputSchema, retrievedChunks }) {
+  return messages => callGemini({
+    messages, temperature: 0, context, taskType, outputTaskType, proficiency, provider, signal, outputSchema, retrievedChunks,
+    usageContext: { ...usageContext, purpose: 'repair' }
   });
-  
-  // Sort by score and return optimal Top K
-  return scoredChunks
-    .sort((a, b) => b.score - a.score)
-    .slice(0, optimalTopK)
-    .map(chunk => ({ 
-      id: chunk.id, 
-      text: chunk.text, 
-      metadata: chunk.metadata,
-      score: chunk.score
-    }));
 }
 
-async function generate(req, res) {
 /**
- * Generate a debate using the specified prompting strategy
+ * The cached body for a cache hit, recorded in the usage ledger
  */
-async function generateDebate(req, res) {
+function cachedResponseFor(cacheLookup, usageContext) {
+  const body = cachedResponse(cacheLookup);
+  const { taskType, provider, model } = body.metadata;
+  recordUsage({ ...usageContext, taskType, provider, model, cacheHit: true });
+  return body;
+}
 
-  try {
-    const { 
-      query, 
-      topK = null, // Use null to trigger optimal Top K calculation
-      metric = 'cosine', 
-      proficiency = 'intermediate', 
-
-      temperature = 0.2, 
-      top_p = null, // Use null to trigger optimal Top P calculation
-      temperature = null, 
-      top_p = 1.0, 
-
-      useCoT = true,
-      useZeroShot = false,
-      taskType = 'debate',
-      context = 'constitutionalEducation'
-    } = req.body;
-
-    if (!query) {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'Query is required' 
-      });
+/**
+ * Build the error for output that could not be repaired: 500 when it never parsed,
+ * 422 with error paths when it parsed but does not match the task schema
+ * @returns {Object} { status, body }
+ */
+function outputFailure(taskType, result) {
+  if (result.stage === 'parse') {
+    return {
+      status: 500,
+      body: {
+        ok: false,
+        error: 'Failed to parse AI response',
+        details: result.errors[0].message,
+        repairAttempts: result.repairAttempts,
+        rawResponse: result.rawResponse
+      }
+    };
+  }
+
+  console.warn(`⚠️ ${taskType} output failed schema validation: ${result.errors.map(e => `${e.path || '(root)'} ${e.message}`).join('; ')}`);
+  return {
+    status: 422,
+    body: {
+      ok: false,
+      error: 'AI response does not match the expected schema',
+      taskType,
+      validationErrors: result.errors,
+      repairAttempts: result.repairAttempts,
+      rawResponse: result.rawResponse
     }
+  };
+}
 
-    // 1) RETRIEVE relevant chunks with Top K optimization
-    const retrievedChunks = retrieveChunks(query, topK, context, taskType, proficiency);
-    // 1) RETRIEVE relevant chunks
-    const retrievedChunks = retrieveChunks(query, topK, context, taskType, proficiency);
-
-    // 2) Build messages based on prompting strategy
-    let messages;
-    let promptMetadata = {};
-    
-    if (useZeroShot) {
-      // Use zero-shot prompting
-      const zeroShotPrompt = zeroShotPromptEngine.generateZeroShotPrompt(
-        taskType,
-        query,
-        proficiency,
-        retrievedChunks,
-        { additionalContext: req.body.additionalContext }
-      );
-      messages = zeroShotPrompt.messages;
-      promptMetadata = {
-        promptingStrategy: 'zero-shot',
-        taskType: zeroShotPrompt.metadata.taskType,
-        taskDescription: zeroShotPrompt.metadata.taskDescription,
-        outputFormat: zeroShotPrompt.metadata.outputFormat,
-        constraints: zeroShotPrompt.metadata.constraints,
-        zeroShotFeatures: zeroShotPrompt.metadata.zeroShotFeatures
-      };
-
-
-    } else if (req.body.useDynamicPrompting !== false) {
-      // Use dynamic prompting
-      const dynamicPrompt = dynamicPromptEngine.generateDynamicPrompt(
-        query, 
-        proficiency, 
-        retrievedChunks,
-        { previousResponses: req.body.previousResponses || [] }
-      );
-      messages = dynamicPrompt.messages;
-      promptMetadata = {
-        promptingStrategy: 'dynamic',
-        ...dynamicPrompt.metadata
-      };
+/**
+ * Map a generation failure to an HTTP status: 503 when the provider is rate
+ * limited, its circuit is open or it is not configured (e.g. no API key), 504
+ * on timeout, 502 on other upstream errors
+ * @returns {Object} { status, body }
+ */
+function generationFailure(err) {
+  let status = 500;
+  if (err.circuitOpen || err.status === 429 || err.misconfigured) status = 503;
+  else if (err.timeout) status = 504;
+  else if (err.provider && err.status >= 500) status = 502;
+
+  const body = { ok: false, error: err.message || 'Internal server error' };
+  if (status !== 500) body.provider = err.provider;
+  if (err.retryAfterMs) body.retryAfterMs = err.retryAfterMs;
+  return { status, body };
+}
 
+/**
+ * Send a generation failure; with options, the failure is recorded as the
+ * outcome of the request's experiment variant
+ */
+function sendGenerationFailure(res, err, options = null) {
+  const { status, body } = generationFailure(err);
+  if (body.retryAfterMs) res.set('Retry-After', String(Math.ceil(body.retryAfterMs / 1000)));
+  return res.status(status).json(options ? withExperimentOutcome(options, status, body, { failed: true }) : body);
+}
 
-    } else {
-      // Use traditional chain-of-thought prompting
-      messages = buildChainMessages({ 
-        audience: proficiency, 
-        topic: query, 
-        retrievedChunks, 
-        minCitations: 2, 
-        proficiency, 
-        examples: true 
-      });
-
-      promptMetadata = {
-        promptingStrategy: 'chain-of-thought',
-        examples: true,
-        reasoning: useCoT ? 'enabled' : 'disabled'
-      };
-    }
+/**
+ * Build the response cache key parts for a generation request: the prompt
+ * inputs, the resolved sampling parameters, the retrieved chunk ids and the
+ * corpus version
+ */
+function generationCacheKey({ query, strategy, taskType, proficiency, provider, callOptions, retrieval, retrievedChunks, tokenBudget, variant }) {
+  const providerName = provider || getDefaultProvider();
+  const llm = getProvider(providerName);
+  const config = resolveCallConfig(callOptions, llm.model);
+  return {
+    query,
+    strategy,
+    taskType,
+    proficiency,
+    provider: providerName,
+    model: llm.model,
+    outputMode: resolveOutputMode(llm, TASK_SCHEMAS[taskType]),
+    sampling: {
+      temperature: config.temperature,
+      topP: config.topP,
+      topK: config.topK.sampling,
+      maxOutputTokens: config.maxOutputTokens
+    },
+    retrieval,
+    chunkIds: retrievedChunks.map(chunk => chunk.id),
+    chunkBudget: tokenBudget.chunkBudget,
+    corpusVersion: getCorpusVersion(),
+    variant
+  };
+}
 
-    if (!useCoT) {
-      messages[0].content = messages[0].content.replace(
-        'You MAY use internal step-by-step reasoning to improve accuracy, BUT DO NOT reveal the chain-of-thought.',
-        'Do NOT use internal step-by-step reasoning. Answer directly.'
-      );
-    }
+/**
+ * Check the model's citations against the chunks it was given
+ * @returns {Object} { data: parsed output with annotated citations, citationCheck: summary }
+ */
+function withVerifiedCitations(data, retrievedChunks) {
+  if (!data || !Array.isArray(data.citations)) {
+    return { data, citationCheck: { total: 0, verified: 0, unverified: 0, unsourced: 0 } };
+  }
 
+  const { citations, summary } = verifyCitations(data.citations, retrievedChunks);
+  if (summary.unverified > 0) {
+    console.warn(`⚠️ ${summary.unverified}/${summary.total} citations could not be verified (${summary.unsourced} unsourced)`);
+  }
 
-    // 3) Call Gemini API with Top P optimization
+  return { data: { ...data, citations }, citationCheck: summary };
+}
 
-    // 3) Call Gemini API with Top K optimization
+/**
+ * Fit the retrieved chunks into the model's context window, best-scored first,
+ * and build the prompt from the chunks that fit
+ * @param {Function} build - Builds the prompt from a list of chunks
+ * @param {Function} messagesOf - Returns the messages of a built prompt
+ * @returns {Object} { prompt, chunks: the chunks in the prompt, tokenBudget: metadata.tokenBudget }
+ */
+function buildWithinBudget({ provider, maxOutputTokens, context, taskType, retrievedChunks }, build, messagesOf = prompt => prompt) {
+  const model = getProvider(provider || getDefaultProvider()).model;
+  // The response allowance a preset sets counts against the context window too
+  const resolvedMaxOutput = resolveGenerationConfig({ context, taskType, model, overrides: { maxOutputTokens } }).maxOutputTokens;
+  const plan = planPromptBudget({ model, maxOutputTokens: resolvedMaxOutput, templateTokens: estimateMessagesTokens(messagesOf(build([]))) });
+  const fitted = fitChunksToBudget(retrievedChunks, plan.chunkBudget);
+  const prompt = build(fitted.chunks);
+
+  const tokenBudget = {
+    model: plan.model,
+    contextWindow: plan.contextWindow,
+    maxOutputTokens: plan.maxOutputTokens,
+    chunkBudget: plan.chunkBudget,
+    chunkTokens: fitted.usedTokens,
+    chunksIncluded: fitted.chunks.length,
+    chunksDropped: fitted.dropped,
+    chunksTruncated: fitted.truncated,
+    promptTokensEstimated: estimateMessagesTokens(messagesOf(prompt))
+  };
+  console.log(`📏 Prompt budget: ${tokenBudget.chunksIncluded}/${retrievedChunks.length} chunks ` +
+    `(${fitted.truncated.length} truncated) in ${fitted.usedTokens}/${plan.chunkBudget} tokens, ` +
+    `~${tokenBudget.promptTokensEstimated} prompt tokens for ${plan.model}`);
+
+  return { prompt, chunks: fitted.chunks, tokenBudget };
+}
 
-    // 3) Call Gemini API with optimized temperature
+/**
+ * metadata.tokenBudget: the prompt budget with the provider's actual input token count
+ */
+function tokenBudgetMetadata(tokenBudget, llmResp) {
+  return { ...tokenBudget, promptTokensActual: (llmResp.usage && llmResp.usage.input) ?? null };
+}
 
-    const llmResp = await callGemini({ 
-      messages, 
-      temperature, 
-      top_p,
-      context,
-      taskType,
-      query,
-      proficiency,
+/**
+ * Read the generation options from a /generate or /generate/stream request body
+ */
+function readGenerateOptions(body) {
+  const {
+    query,
+    topK = null, // Use null to trigger optimal Top K calculation
+    metric = 'cosine',
+    filters = {},
+    retrievalMode = 'lexical',
+    mmrLambda = null,
+    proficiency = 'intermediate',
+    temperature = null,
+    top_p = null, // Use null to trigger optimal Top P calculation
+    top_k = null, // Sampling Top K, sent to the provider as-is
+    maxOutputTokens = null, // Use null for the default, capped by the model's limit
+    strategy = null, // Prompting strategy; the useZeroShot / useDynamicPrompting flags pick one when omitted
+    specialization = null, // rtfc: academic | beginner | policy
+    useCoT = true,
+    useZeroShot = false,
+    useDynamicPrompting = true,
+    taskType = 'debate',
+    context = 'constitutionalEducation',
+    provider, // LLM_PROVIDER env when omitted
+    additionalContext,
+    previousResponses = []
+  } = body || {};
+
+  return {
+    query, topK, metric, filters, retrievalMode, mmrLambda, proficiency, temperature, top_p, top_k, maxOutputTokens,
+    strategy: strategyForRequest({ strategy, useZeroShot, useDynamicPrompting }), specialization,
+    useCoT, useZeroShot, useDynamicPrompting, taskType, context, provider, additionalContext, previousResponses
+  };
+}
 
-      customTopP: top_p
+/**
+ * Read a /generate or /generate/stream request, applying the settings of the
+ * experiment variant the requester is assigned to. Fields the body or endpoint
+ * set count as explicit choices, which keep the request out of experiments
+ * whose variants set them.
+ * @param {Object} fixed - Options the endpoint sets regardless of body and variant (e.g. { strategy })
+ * @returns {Object} Generate options with user and assignment (null when not enrolled)
+ */
+function readRequestOptions(req, fixed = {}) {
+  const body = req.body || {};
+  const requested = readGenerateOptions({ ...body, ...fixed });
+  const explicitFields = [
+    ...Object.keys(body).filter(field => body[field] !== undefined && body[field] !== null),
+    ...Object.keys(fixed)
+  ];
+  const assignment = assignVariant(requested, name => req.get(name), explicitFields);
+  if (!assignment) {
+    return { ...requested, user: requestUser(req), assignment: null };
+  }
 
-      customTopK: topK
-      proficiency
-    });
+  console.log(`🧪 Experiment ${assignment.experiment}: variant ${assignment.variant} for ${assignment.stickyBy} ${assignment.unitId}`);
+  return { ...readGenerateOptions({ ...body, ...assignment.settings, ...fixed }), user: requestUser(req), assignment };
+}
 
-    // 4) Parse & validate JSON
-    const parsed = safeParseJSONMaybe(llmResp.text);
-    if (!parsed.ok) {
-      return res.status(500).json({
-        ok: false,
-        error: 'Failed to parse AI response',
-        details: parsed.error,
-        rawResponse: llmResp.text
-      });
-    }
+/**
+ * Record the outcome of a request enrolled in an experiment and tag the
+ * response with its variant and the requestId ratings refer to
+ * @param {Object} flags - { cacheHit, failed: generation threw before any output was returned }
+ */
+function withExperimentOutcome(options, status, body, { cacheHit = false, failed = false } = {}) {
+  const { assignment } = options;
+  if (!assignment) return body;
 
-    // 5) Return successful response
-    return res.json({
-      ok: true,
-      data: parsed.data,
-      metadata: {
-        ...promptMetadata,
-        temperature: llmResp.temperature,
-        context: llmResp.context,
-        taskType: llmResp.taskType,
-        proficiency: llmResp.proficiency,
-        usage: llmResp.usage,
-        retrievedChunks: retrievedChunks.length
-      }
-    });
+  recordOutcome(assignment, { status, citationCheck: body.metadata && body.metadata.citationCheck, cacheHit, failed });
+  const experiment = { name: assignment.experiment, variant: assignment.variant, requestId: assignment.requestId };
+  return status === 200 ? { ...body, metadata: { ...body.metadata, experiment } } : { ...body, experiment };
+}
 
-  } catch (error) {
-    console.error('Debate generation error:', error);
-    return res.status(500).json({
-      ok: false,
-      error: error.message || 'Internal server error'
-    });
-  }
+/**
+ * Check the request's query
+ * @returns {string|null} Error message, or null when the query is a non-empty string
+ */
+function queryError(query) {
+  if (query === undefined || query === null || query === '') return 'Query is required';
+  if (typeof query !== 'string' || !query.trim()) return 'Query must be a non-empty string';
+  return null;
 }
 
 /**
- * Generate a debate with chain-of-thought prompting
+ * Validate generation options
+ * @returns {Object|null} { status, body }: 400 for invalid options, 422 for a task type the
+ *   strategy cannot write; null when the options are valid
  */
-async function generateDebateWithCoT(req, res) {
-  try {
-    const { 
-      query, 
-      topK = 4, 
-      metric = 'cosine', 
-      proficiency = 'intermediate', 
-      temperature = null, 
-      top_p = 1.0,
-      context = 'constitutionalEducation'
-    } = req.body;
-
-    if (!query) {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'Query is required' 
-      });
-    }
+function checkGenerateOptions({ query, provider, metric, filters, retrievalMode, mmrLambda, context, temperature, top_p, top_k, topK, maxOutputTokens, strategy, taskType, specialization }) {
+  const invalidQuery = queryError(query);
+  if (invalidQuery) {
+    return { status: 400, body: { ok: false, error: invalidQuery } };
+  }
 
-    // 1) RETRIEVE relevant chunks
-    const retrievedChunks = retrieveChunks(query, topK);
-
-    // 2) Build chain-of-thought messages
-    const messages = buildChainMessages({ 
-      audience: proficiency, 
-      topic: query, 
-      retrievedChunks, 
-      minCitations: 2, 
-      proficiency, 
-      examples: true 
-    });
+  const providerCheck = validateProvider(provider);
+  if (!providerCheck.ok) {
+    return { status: 400, body: { ok: false, error: providerCheck.error, availableProviders: providerCheck.availableProviders } };
+  }
 
-    // 3) Call Gemini API with optimized temperature
-    const llmResp = await callGemini({ 
-      messages, 
-      temperature, 
-      top_p,
-      context,
-      taskType: 'debate',
-      proficiency
-    });
+  const metricCheck = validateMetric(metric);
+  if (!metricCheck.ok) {
+    return { status: 400, body: { ok: false, error: metricCheck.error, availableMetrics: metricCheck.availableMetrics } };
+  }
 
-    // 4) Parse & validate JSON
-    const parsed = safeParseJSONMaybe(llmResp.text);
-    if (!parsed.ok) {
-      return res.status(500).json({
-        ok: false,
-        error: 'Failed to parse AI response',
-        details: parsed.error,
-        rawResponse: llmResp.text
-      });
-    }
+  const filterCheck = validateFilters(filters);
+  if (!filterCheck.ok) {
+    return { status: 400, body: { ok: false, error: filterCheck.error, availableFilters: filterCheck.availableFilters } };
+  }
 
-    // 5) Return successful response
-    return res.json({
-      ok: true,
-      data: parsed.data,
-      metadata: {
-        promptingStrategy: 'chain-of-thought',
-        examples: true,
-        reasoning: 'enabled',
-        temperature: llmResp.temperature,
-        context: llmResp.context,
-        taskType: llmResp.taskType,
-        proficiency: llmResp.proficiency,
-        usage: llmResp.usage,
-        retrievedChunks: retrievedChunks.length
-      }
-    });
+  const modeCheck = validateRetrievalMode(retrievalMode);
+  if (!modeCheck.ok) {
+    return { status: 400, body: { ok: false, error: modeCheck.error, availableModes: modeCheck.availableModes } };
+  }
 
-  } catch (error) {
-    console.error('Chain-of-thought debate generation error:', error);
-    return res.status(500).json({
-      ok: false,
-      error: error.message || 'Internal server error'
-    });
+  const lambdaCheck = validateMMRLambda(mmrLambda);
+  if (!lambdaCheck.ok) {
+    return { status: 400, body: { ok: false, error: lambdaCheck.error } };
+  }
+
+  const contextCheck = validateContext(context);
+  if (!contextCheck.ok) {
+    return { status: 400, body: { ok: false, error: contextCheck.error, availableContexts: contextCheck.availableContexts } };
   }
+
+  const overrideErrors = validateOverrides({ temperature, top_p, top_k, topK, maxOutputTokens });
+  if (overrideErrors.length > 0) {
+    return { status: 400, body: { ok: false, error: 'Invalid generation parameters', details: overrideErrors } };
+  }
+
+  const strategyCheck = validateStrategy(strategy);
+  if (!strategyCheck.ok) {
+    return { status: 400, body: { ok: false, error: strategyCheck.error, availableStrategies: strategyCheck.availableStrategies } };
+  }
+
+  const strategyOptionsCheck = validateStrategyOptions(strategy, { taskType, specialization });
+  if (!strategyOptionsCheck.ok) {
+    return { status: strategyOptionsCheck.availableTaskTypes ? 422 : 400, body: strategyOptionsCheck };
+  }
+
+  return null;
 }
 
 /**
- * Generate a debate with zero-shot prompting
+ * Build the prompt with the request's strategy (see promptStrategyService)
+ * @returns {Object} { messages, promptMetadata, outputTaskType, outputSchema }
  */
-async function generateDebateWithZeroShot(req, res) {
-  try {
-    const { 
-      query, 
-      topK = 4, 
-      metric = 'cosine', 
-      proficiency = 'intermediate', 
-      temperature = null, 
-      top_p = 1.0,
-      taskType = 'debate',
-      context = 'constitutionalEducation'
-    } = req.body;
-
-    if (!query) {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'Query is required' 
-      });
-    }
+function buildStrategyMessages(options, retrievedChunks) {
+  const { strategy, useCoT } = options;
+  const { messages, metadata, taskType } = buildPrompt(strategy, options, retrievedChunks);
+
+  if (!useCoT) {
+    messages[0].content = messages[0].content.replace(
+      'You MAY use internal step-by-step reasoning to improve accuracy, BUT DO NOT reveal the chain-of-thought.',
+      'Do NOT use internal step-by-step reasoning. Answer directly.'
+    );
+  }
 
-    // 5) Return structured response with enhanced metadata
-    res.json({ 
-      ok: true, 
-      data: parsed.data, 
+  return {
+    messages,
+    promptMetadata: { promptingStrategy: strategy, ...metadata },
+    outputTaskType: taskType,
+    outputSchema: outputSchemaFor(strategy, taskType)
+  };
+}
+
+/**
+ * Retrieve chunks and build the prompt for a request
+ * @returns {Object} { retrievedChunks, promptChunks (the budgeted chunks in the prompt), tokenBudget,
+ *   resolvedMMRLambda, messages, promptMetadata, outputTaskType, outputSchema }
+ */
+async function prepareGeneration(options) {
+  const { query, topK, context, taskType, proficiency, metric, retrievalMode, mmrLambda, filters, provider, maxOutputTokens } = options;
+  const resolvedMMRLambda = resolveMMRLambda(retrievalMode, mmrLambda);
+
+  // 1) RETRIEVE relevant chunks with Top K optimization
+  const retrievedChunks = await retrieveForRequest(query, topK, context, taskType, proficiency, metric, retrievalMode, resolvedMMRLambda, filters);
+
+  // 2) Build messages based on prompting strategy, with as much of the chunks as the model's budget allows
+  const { prompt, chunks, tokenBudget } = buildWithinBudget(
+    { provider, maxOutputTokens, context, taskType, retrievedChunks },
+    promptChunks => buildStrategyMessages(options, promptChunks),
+    built => built.messages
+  );
+  return { retrievedChunks, promptChunks: chunks, tokenBudget, resolvedMMRLambda, ...prompt };
+}
+
+/**
+ * The callGemini options for a request, without the messages
+ */
+function callOptionsFor(options) {
+  const { temperature, top_p, top_k, maxOutputTokens, context, taskType, query, proficiency, topK, provider, signal } = options;
+  return {
+    temperature,
+    top_p,
+    context,
+    taskType,
+    query,
+    proficiency,
+    top_k,
+    customTopP: top_p,
+    customTopK: topK,
+    maxOutputTokens,
+    provider,
+    signal
+  };
+}
+
+/**
+ * Call the LLM provider for a request with optimized temperature, Top P and Top K
+ * @param {Function} onText - Streams the response when set
+ */
+function callForRequest(options, prepared, onText = null) {
+  return callGemini({
+    ...callOptionsFor(options),
+    messages: prepared.messages,
+    onText,
+    usageContext: usageContextFor(options, prepared),
+    outputTaskType: prepared.outputTaskType,
+    outputSchema: prepared.outputSchema,
+    retrievedChunks: prepared.promptChunks
+  });
+}
+
+/**
+ * Usage ledger fields for a prepared /generate or /generate/stream request
+ */
+function usageContextFor(options, prepared) {
+  const { assignment } = options;
+  return {
+    user: options.user,
+    strategy: prepared.promptMetadata.promptingStrategy,
+    experiment: assignment ? assignment.experiment : null,
+    variant: assignment ? assignment.variant : null
+  };
+}
+
+/**
+ * Look up the cached response for a prepared /generate or /generate/stream request
+ */
+function lookupGeneration(req, options, prepared) {
+  const { query, proficiency, provider, metric, retrievalMode, filters, useCoT, specialization, additionalContext, previousResponses } = options;
+  return lookupResponse(generationCacheKey({
+    query,
+    strategy: prepared.promptMetadata.promptingStrategy,
+    taskType: prepared.outputTaskType,
+    proficiency,
+    provider,
+    callOptions: callOptionsFor(options),
+    retrieval: { metric, mode: retrievalMode, mmrLambda: prepared.resolvedMMRLambda, filters },
+    retrievedChunks: prepared.promptChunks,
+    tokenBudget: prepared.tokenBudget,
+    variant: { useCoT, specialization, additionalContext, previousResponses }
+  }), req.get('Cache-Control'));
+}
+
+/**
+ * Parse and validate the model output and assemble the /generate response
+ * @returns {Object} { status, body }
+ */
+async function finishGeneration(options, prepared, llmResp) {
+  const { retrievedChunks, promptChunks, tokenBudget, resolvedMMRLambda, promptMetadata, outputTaskType, outputSchema } = prepared;
+  const { query, metric, filters, retrievalMode, useCoT, context, taskType, proficiency, provider, signal } = options;
+
+  // 4) Parse & validate JSON against the strategy's output schema, repairing it if needed
+  const parsed = await parseWithRepair(llmResp.text, {
+    taskType: outputTaskType,
+    schema: outputSchema,
+    requestRepair: repairWithGemini({
+      context, taskType, outputTaskType, proficiency, provider, signal,
+      usageContext: usageContextFor(options, prepared),
+      outputSchema,
+      retrievedChunks: promptChunks
+    })
+  });
+  if (!parsed.ok) {
+    return outputFailure(outputTaskType, parsed);
+  }
+
+  // Strategies with their own output check (one-shot, rtfc) reject output it fails, like schema errors
+  const engineValidation = validateStrategyResponse(options.strategy, parsed.data, outputTaskType);
+  if (engineValidation && !engineValidation.isValid) {
+    return outputFailure(outputTaskType, {
+      ...parsed,
+      stage: 'schema',
+      errors: [{ path: '', message: engineValidation.error }]
+    });
+  }
+
+  const { data, citationCheck } = withVerifiedCitations(parsed.data, promptChunks);
+
+  // 5) Return structured response with enhanced metadata
+  return {
+    status: 200,
+    body: {
+      ok: true,
+      data,
       metadata: {
         retrievedChunks: retrievedChunks.length,
+        metric,
+        retrievalMode,
+        mmrLambda: resolvedMMRLambda,
+        filters,
+        detectedArticles: detectArticleReferences(query),
+        citationCheck,
+        engineValidation,
+        repairAttempts: parsed.repairAttempts,
+        localRepairs: parsed.localRepairs,
         useCoT,
-        temperature,
+        provider: llmResp.provider,
+        model: llmResp.model,
+        degraded: llmResp.degraded,
+        degradedReason: llmResp.degradedReason,
+        temperature: llmResp.temperature,
         top_p: llmResp.topP,
-        tokens: llmResp.usage || { input: 0, output: 0 },
-
         topP: llmResp.topP,
-        context: llmResp.context,
-        taskType: llmResp.taskType,
-        queryComplexity: llmResp.queryComplexity,
-        hasCreativeElements: llmResp.hasCreativeElements,
-
         topK: llmResp.topK,
+        tokens: llmResp.usage || { input: 0, output: 0 },
+        tokenBudget: tokenBudgetMetadata(tokenBudget, llmResp),
+        latencyMs: llmResp.latencyMs,
+        outputMode: llmResp.outputMode,
+        configProvenance: llmResp.provenance,
         context: llmResp.context,
         taskType: llmResp.taskType,
         queryComplexity: llmResp.queryComplexity,
-
+        hasCreativeElements: llmResp.hasCreativeElements,
         proficiency: llmResp.proficiency,
         retrievalScores: retrievedChunks.map(chunk => ({
           id: chunk.id,
-          score: chunk.score
+          score: chunk.score,
+          components: chunk.components
         })),
         ...promptMetadata
       },
-      raw: llmResp.raw 
-    });
-  } catch (err) {
-    console.error('Debate generation error:', err);
-    
-    // Handle rate limit specifically
-    if (err.message.includes('Rate limit exceeded')) {
-      // Return a demo response for rate limited cases
-      const mockData = {
-        stance: "This is a demo response. The actual AI service is currently rate limited. Please try again later or contact support for API access.",
-        counterStance: "In a real implementation, this would contain the opposing viewpoint generated by the AI model using Chain of Thought reasoning.",
-        citations: [
-          {
-            id: "demo",
-            source: "Demo Mode",
-            snippet: "This is a placeholder citation. Real citations would be retrieved from the constitutional corpus."
-          }
-        ],
-        quiz: [
-          {
-            q: "This is a demo quiz question. Real questions would be generated by the AI model.",
-            options: ["Option A", "Option B", "Option C", "Option D"],
-            answerIndex: 0
-          }
-        ]
-      };
-      
-      return res.json({
-        ok: true,
-        data: mockData,
-        metadata: {
-          retrievedChunks: 0,
-          useCoT: false,
-          temperature: 0.2,
-
-          top_p: 0.85,
-          tokens: { input: 0, output: 0 },
-          topP: 0.85,
-          context: 'constitutionalEducation',
-          taskType: 'debate',
-          queryComplexity: 'moderate',
-          hasCreativeElements: false,
-
-          top_p: 1.0,
-          tokens: { input: 0, output: 0 },
-          topK: 4,
-          context: 'constitutionalEducation',
-          taskType: 'debate',
-          queryComplexity: 'moderate',
-
-          proficiency: 'intermediate',
-          retrievalScores: [],
-          promptingStrategy: 'demo',
-          demo: true
-        },
-        raw: { demo: true, message: "Rate limited - using demo response" }
-
-    // 1) RETRIEVE relevant chunks
-    const retrievedChunks = retrieveChunks(query, topK);
-
-    // 2) Generate zero-shot prompt
-    const zeroShotPrompt = zeroShotPromptEngine.generateZeroShotPrompt(
-      taskType,
-      query,
-      proficiency,
-      retrievedChunks,
-      { additionalContext: req.body.additionalContext }
-    );
-
-    // 3) Call Gemini API with optimized temperature
-    const llmResp = await callGemini({ 
-      messages: zeroShotPrompt.messages, 
-      temperature, 
-      top_p,
-      context,
-      taskType,
-      proficiency
-    });
+      raw: llmResp.raw
+    }
+  };
+}
 
-    // 4) Parse & validate JSON
-    const parsed = safeParseJSONMaybe(llmResp.text);
-    if (!parsed.ok) {
-      return res.status(500).json({
-        ok: false,
-        error: 'Failed to parse AI response',
-        details: parsed.error,
-        rawResponse: llmResp.text
-      });
-    } else {
-      return res.status(500).json({ 
-        ok: false, 
-        error: err.message 
-      });
+/**
+ * Run the /generate pipeline for a request and send the response
+ * @param {Object} fixed - Options the endpoint sets regardless of the body (see readRequestOptions)
+ */
+async function respondWithGeneration(req, res, fixed = {}) {
+  let options = null;
+  try {
+    options = readRequestOptions(req, fixed);
+    const invalid = checkGenerateOptions(options);
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
     }
 
+    const prepared = await prepareGeneration(options);
 
-    // 5) Return successful response
-    return res.json({
-      ok: true,
-      data: parsed.data,
-      metadata: {
-        promptingStrategy: 'zero-shot',
-        taskType: zeroShotPrompt.metadata.taskType,
-        taskDescription: zeroShotPrompt.metadata.taskDescription,
-        outputFormat: zeroShotPrompt.metadata.outputFormat,
-        constraints: zeroShotPrompt.metadata.constraints,
-        zeroShotFeatures: zeroShotPrompt.metadata.zeroShotFeatures,
-        temperature: llmResp.temperature,
-        context: llmResp.context,
-        taskType: llmResp.taskType,
-        proficiency: llmResp.proficiency,
-        usage: llmResp.usage,
-        retrievedChunks: retrievedChunks.length
-      }
-    });
+    // Identical requests against the same chunks are answered from the cache
+    const cacheLookup = lookupGeneration(req, options, prepared);
+    if (cacheLookup.status === 'hit') {
+      return res.json(withExperimentOutcome(options, 200, cachedResponseFor(cacheLookup, usageContextFor(options, prepared)), { cacheHit: true }));
+    }
 
-  } catch (error) {
-    console.error('Zero-shot debate generation error:', error);
-    return res.status(500).json({
-      ok: false,
-      error: error.message || 'Internal server error'
-    });
+    // 3) Call the LLM provider with optimized temperature, Top P and Top K
+    const llmResp = await callForRequest(options, prepared);
 
+    const { status, body } = await finishGeneration(options, prepared, llmResp);
+    return res.status(status).json(withExperimentOutcome(options, status, status === 200 ? storeResponse(cacheLookup, body) : body));
+  } catch (err) {
+    console.error('Debate generation error:', err);
+    return sendGenerationFailure(res, err, options);
   }
 }
 
 /**
- * Generate a debate with dynamic prompting
+ * Generate a debate using the specified prompting strategy
  */
-async function generateDebateWithDynamicPrompting(req, res) {
-  try {
-    const { 
-      query, 
-      topK = 4, 
-      metric = 'cosine', 
-      proficiency = 'intermediate', 
-      temperature = null, 
-      top_p = 1.0,
-      context = 'constitutionalEducation'
-    } = req.body;
-
-    if (!query) {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'Query is required' 
-
-      });
-    } else {
-      return res.status(500).json({ 
-        ok: false, 
-        error: err.message 
-      });
-    }
+async function generateDebate(req, res) {
+  return respondWithGeneration(req, res);
+}
+
+/**
+ * Generate with multi-shot prompting: /generate with strategy 'multi-shot'
+ */
+async function generateDebateWithMultiShot(req, res) {
+  return respondWithGeneration(req, res, { strategy: 'multi-shot' });
+}
 
+/**
+ * Generate with one-shot prompting: /generate with strategy 'one-shot'
+ */
+async function generateDebateWithOneShot(req, res) {
+  return respondWithGeneration(req, res, { strategy: 'one-shot' });
+}
 
-    // 1) RETRIEVE relevant chunks
-    const retrievedChunks = retrieveChunks(query, topK);
+/**
+ * Generate with the RTFC framework: /generate with strategy 'rtfc'
+ */
+async function generateDebateWithRTFC(req, res) {
+  return respondWithGeneration(req, res, { strategy: 'rtfc' });
+}
 
-    // 2) Generate dynamic prompt
-    const dynamicPrompt = dynamicPromptEngine.generateDynamicPrompt(
-      query, 
-      proficiency, 
-      retrievedChunks,
-      { previousResponses: req.body.previousResponses || [] }
-    );
+/**
+ * List the prompting strategies /generate accepts
+ */
+async function getStrategies(req, res) {
+  return res.json({ ok: true, strategies: describeStrategies() });
+}
 
-    // 3) Call Gemini API with optimized temperature
-    const llmResp = await callGemini({ 
-      messages: dynamicPrompt.messages, 
-      temperature, 
-      top_p,
-      context,
-      taskType: 'debate',
-      proficiency
-    });
+/**
+ * Stream debate generation as Server-Sent Events. Accepts the same body as
+ * /generate and emits:
+ *   retrieval - { chunkIds, retrievalScores } once chunks are retrieved
+ *   delta     - { text, fields } for each piece of model output; fields holds the
+ *               stance / counterStance text received so far
+ *   final     - the /generate response body, after parsing, validation and
+ *               citation verification (sent right after retrieval on a cache hit)
+ *   error     - { status, ...error body } when generation fails
+ * Invalid requests are rejected with a plain JSON 400 (422 for an unsupported task
+ * type) before the stream starts.
+ */
+async function generateDebateStream(req, res) {
+  let options = null;
+  // A client that disconnects cancels the model call instead of leaving it running
+  const disconnect = new AbortController();
+  const send = (event, data) => {
+    if (!disconnect.signal.aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-    // 4) Parse & validate JSON
-    const parsed = safeParseJSONMaybe(llmResp.text);
-    if (!parsed.ok) {
-      return res.status(500).json({
-        ok: false,
-        error: 'Failed to parse AI response',
-        details: parsed.error,
-        rawResponse: llmResp.text
-      });
+  try {
+    options = readRequestOptions(req);
+    const invalid = checkGenerateOptions(options);
+    if (invalid) {
+      return res.status(invalid.status).json(invalid.body);
     }
 
-    // 5) Return successful response
-    return res.json({
-      ok: true,
-      data: parsed.data,
-      metadata: {
-        promptingStrategy: 'dynamic',
-        ...dynamicPrompt.metadata,
-        temperature: llmResp.temperature,
-        context: llmResp.context,
-        taskType: llmResp.taskType,
-        proficiency: llmResp.proficiency,
-        usage: llmResp.usage,
-        retrievedChunks: retrievedChunks.length
-      }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx-style proxies from buffering the stream
+    });
+    res.flushHeaders();
+    res.on('close', () => disconnect.abort());
+    options.signal = disconnect.signal;
+
+    const prepared = await prepareGeneration(options);
+    send('retrieval', {
+      chunkIds: prepared.retrievedChunks.map(chunk => chunk.id),
+      retrievalScores: prepared.retrievedChunks.map(chunk => ({ id: chunk.id, score: chunk.score }))
     });
 
-  } catch (error) {
-    console.error('Dynamic prompting debate generation error:', error);
-    return res.status(500).json({
-      ok: false,
-      error: error.message || 'Internal server error'
+    const cacheLookup = lookupGeneration(req, options, prepared);
+    if (cacheLookup.status === 'hit') {
+      send('final', withExperimentOutcome(options, 200, cachedResponseFor(cacheLookup, usageContextFor(options, prepared)), { cacheHit: true }));
+      return res.end();
+    }
+
+    let received = '';
+    const llmResp = await callForRequest(options, prepared, text => {
+      received += text;
+      const fields = {};
+      Object.entries(extractPartialStrings(received, STREAMED_FIELDS))
+        .forEach(([key, field]) => { fields[key] = field.value; });
+      send('delta', { text, fields });
     });
 
+    const { status, body } = await finishGeneration(options, prepared, llmResp);
+    const tagged = withExperimentOutcome(options, status, status === 200 ? storeResponse(cacheLookup, body) : body);
+    send(status === 200 ? 'final' : 'error', status === 200 ? tagged : { status, ...tagged });
+  } catch (err) {
+    if (!res.headersSent) {
+      // Failed before the stream opened, e.g. while reading the options
+      console.error('Debate stream error:', err);
+      return sendGenerationFailure(res, err, options);
+    }
+    if (disconnect.signal.aborted) {
+      console.log('🔌 Client disconnected, debate stream cancelled');
+    } else {
+      console.error('Debate stream error:', err);
+      const { status, body } = generationFailure(err);
+      send('error', { status, ...withExperimentOutcome(options, status, body, { failed: true }) });
+    }
   }
+
+  res.end();
+}
+
+/**
+ * Generate with chain-of-thought prompting: /generate with strategy 'chain-of-thought'
+ */
+async function generateDebateWithCoT(req, res) {
+  return respondWithGeneration(req, res, { strategy: 'chain-of-thought' });
+}
+
+/**
+ * Generate with zero-shot prompting: /generate with strategy 'zero-shot'
+ */
+async function generateDebateWithZeroShot(req, res) {
+  return respondWithGeneration(req, res, { strategy: 'zero-shot' });
+}
+
+/**
+ * Generate with dynamic prompting: /generate with strategy 'dynamic'
+ */
+async function generateDebateWithDynamicPrompting(req, res) {
+  return respondWithGeneration(req, res, { strategy: 'dynamic' });
 }
 
 module.exports = {
   generateDebate,
+  generateDebateStream,
   generateDebateWithCoT,
   generateDebateWithZeroShot,
-  generateDebateWithDynamicPrompting
+  generateDebateWithDynamicPrompting,
+  generateDebateWithMultiShot,
+  generateDebateWithOneShot,
+  generateDebateWithRTFC,
+  getStrategies,
+  // Request parsing shared with POST /api/config/resolve
+  readRequestOptions,
+  checkGenerateOptions,
+  callOptionsFor
 };
@@ -0,0 +1,102 @@
+// backend/src/controllers/experimentController.js
+const {
+  listExperiments,
+  findExperiment,
+  recordRating,
+  validateRating,
+  summarizeExperiment,
+  getExperimentConfig
+} = require('../services/experimentService');
+const { validateDateRange } = require('../services/usageService');
+
+/**
+ * List the configured experiments and their variants
+ */
+async function getExperiments(req, res) {
+  try {
+    return res.json({
+      ok: true,
+      logEnabled: getExperimentConfig().logEnabled,
+      data: listExperiments()
+    });
+  } catch (error) {
+    console.error('Experiment listing error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Summarize an experiment's outcome metrics per variant, optionally limited
+ * to a date range
+ */
+async function getExperimentSummary(req, res) {
+  try {
+    const { name } = req.params;
+    const { from = null, to = null } = req.query;
+
+    if (!findExperiment(name)) {
+      return res.status(404).json({
+        ok: false,
+        error: `Experiment not found: ${name}`
+      });
+    }
+
+    const dateCheck = validateDateRange({ from, to });
+    if (!dateCheck.ok) {
+      return res.status(400).json({
+        ok: false,
+        error: dateCheck.error
+      });
+    }
+
+    return res.json({ ok: true, ...summarizeExperiment(name, { from, to }) });
+  } catch (error) {
+    console.error('Experiment summary error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+/**
+ * Record a user's rating of a response served in an experiment
+ */
+async function rateResponse(req, res) {
+  try {
+    const { requestId, rating } = req.body;
+
+    if (!requestId) {
+      return res.status(400).json({
+        ok: false,
+        error: 'requestId is required'
+      });
+    }
+
+    const ratingCheck = validateRating(rating);
+    if (!ratingCheck.ok) {
+      return res.status(400).json({ ok: false, error: ratingCheck.error });
+    }
+
+    const entry = recordRating(requestId, rating);
+    if (!entry) {
+      return res.status(404).json({
+        ok: false,
+        error: `No experiment response with requestId: ${requestId}`
+      });
+    }
+
+    return res.status(201).json({ ok: true, data: entry });
+  } catch (error) {
+    console.error('Experiment rating error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+module.exports = { getExperiments, getExperimentSummary, rateResponse };
@@ -0,0 +1,43 @@
+// backend/src/controllers/usageController.js
+const { summarizeUsage, validateGroupBy, validateDateRange, getLedgerConfig } = require('../services/usageService');
+
+/**
+ * Summarize LLM usage, cost and latency from the usage ledger, grouped by
+ * strategy, day, user or model and optionally limited to a date range
+ */
+async function getUsage(req, res) {
+  try {
+    const { groupBy = 'strategy', from = null, to = null } = req.query;
+
+    const groupCheck = validateGroupBy(groupBy);
+    if (!groupCheck.ok) {
+      return res.status(400).json({
+        ok: false,
+        error: groupCheck.error,
+        availableGroupings: groupCheck.availableGroupings
+      });
+    }
+
+    const dateCheck = validateDateRange({ from, to });
+    if (!dateCheck.ok) {
+      return res.status(400).json({
+        ok: false,
+        error: dateCheck.error
+      });
+    }
+
+    return res.json({
+      ok: true,
+      enabled: getLedgerConfig().enabled,
+      ...summarizeUsage({ groupBy, from, to })
+    });
+  } catch (error) {
+    console.error('Usage summary error:', error);
+    return res.status(500).json({
+      ok: false,
+      error: error.message || 'Internal server error'
+    });
+  }
+}
+
+module.exports = { getUsage };
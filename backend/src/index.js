@@ -1,9 +1,13 @@
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
+const { loadPresets } = require('./services/presetService');
 
 const debateRoutes = require('./routes/debateRoutes');
 const articleRoutes = require('./routes/articleRoutes');
+const usageRoutes = require('./routes/usageRoutes');
+const configRoutes = require('./routes/configRoutes');
+const experimentRoutes = require('./routes/experimentRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -16,6 +20,9 @@ app.use(express.urlencoded({ extended: true }));
 // Routes
 app.use('/api/debate', debateRoutes);
 app.use('/api/articles', articleRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/config', configRoutes);
+app.use('/api/experiments', experimentRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -33,7 +40,11 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+// User-defined sampling presets must be registered before the first request selects one
+const presets = loadPresets();
+
 app.listen(PORT, () => {
   console.log(`🚀 Backend server running on port ${PORT}`);
+  console.log(`🎛️ Sampling presets loaded: ${presets.length}`);
   console.log(`📡 Health check: http://localhost:${PORT}/health`);
 });
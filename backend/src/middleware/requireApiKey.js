@@ -0,0 +1,42 @@
+// backend/src/middleware/requireApiKey.js
+const crypto = require('crypto');
+
+/**
+ * Compares two keys in constant time; both are hashed first so the buffers
+ * have equal length and the comparison does not leak the key's length
+ */
+function keysMatch(providedKey, expectedKey) {
+  if (typeof providedKey !== 'string') return false;
+  const digest = key => crypto.createHash('sha256').update(key).digest();
+  return crypto.timingSafeEqual(digest(providedKey), digest(expectedKey));
+}
+
+/**
+ * Guards write endpoints with a shared admin key.
+ * Clients send it as `Authorization: Bearer <key>` or `x-api-key: <key>`.
+ * When ADMIN_API_KEY is not configured, write access is disabled entirely.
+ */
+function requireApiKey(req, res, next) {
+  const expectedKey = process.env.ADMIN_API_KEY;
+
+  if (!expectedKey) {
+    return res.status(503).json({
+      ok: false,
+      error: 'Write access is disabled. Set ADMIN_API_KEY to enable it.'
+    });
+  }
+
+  const header = req.get('authorization') || '';
+  const providedKey = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-api-key');
+
+  if (!keysMatch(providedKey, expectedKey)) {
+    return res.status(401).json({
+      ok: false,
+      error: 'Missing or invalid API key'
+    });
+  }
+
+  return next();
+}
+
+module.exports = { requireApiKey };
@@ -21,7 +21,7 @@ function buildChainMessages({ audience='intermediate', topic, retrievedChunks =
   }`;
   
 
-    const chunkText = retrievedChunks.map((c,i)=> `${i+1}) [${c.id || 'chunk'+i}] ${c.text.slice(0,500)}`).join("\n\n");
+    const chunkText = retrievedChunks.map((c,i)=> `${i+1}) [${c.id || 'chunk'+i}] ${c.text}${c.truncated ? '...' : ''}`).join("\n\n");
   
     const user = `
   AUDIENCE: ${audience}
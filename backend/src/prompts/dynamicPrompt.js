@@ -318,7 +318,7 @@ OUTPUT_STRUCTURE:
 }
 
 RETRIEVED_CHUNKS:
-${retrievedChunks.map((c, i) => `${i+1}) [${c.id || 'chunk'+i}] ${c.text.slice(0,500)}`).join("\n\n")}
+${retrievedChunks.map((c, i) => `${i+1}) [${c.id || 'chunk'+i}] ${c.text}${c.truncated ? '...' : ''}`).join("\n\n")}
 `.trim();
 
     return basePrompt;
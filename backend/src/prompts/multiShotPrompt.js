@@ -14,6 +14,8 @@
  * - Teaching the AI model through examples rather than just instructions
  */
 
+const { formatRetrievedChunks } = require('./retrievedChunks');
+
 class MultiShotPromptEngine {
   constructor() {
     this.taskDefinitions = this.createTaskDefinitions();
@@ -541,7 +543,7 @@ This is a multi-shot explanation task - you have been provided with examples to
     const formattedTemplate = template.template
       .replace('{topic}', topic)
       .replace('{proficiency}', proficiency)
-      .replace('{retrievedChunks}', this.formatRetrievedChunks(retrievedChunks))
+      .replace('{retrievedChunks}', formatRetrievedChunks(retrievedChunks))
       .replace('{examples}', formattedExamples);
 
     // Build the message structure
@@ -631,19 +633,6 @@ ${exampleOutput}
     }).join('\n\n');
   }
 
-  /**
-   * Formats retrieved chunks for inclusion in prompts
-   */
-  formatRetrievedChunks(chunks) {
-    if (!chunks || chunks.length === 0) {
-      return "No specific citations provided. Use your constitutional knowledge to provide accurate information.";
-    }
-
-    return chunks.map((chunk, i) => 
-      `${i + 1}) [${chunk.id || 'chunk' + i}] ${chunk.text.slice(0, 300)}...`
-    ).join('\n\n');
-  }
-
   /**
    * Generates a debate prompt using multi-shot approach
    */
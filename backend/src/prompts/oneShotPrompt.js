@@ -8,6 +8,8 @@
  * 4. Creating prompts that show the desired format through demonstration
  */
 
+const { formatRetrievedChunks } = require('./retrievedChunks');
+
 class OneShotPromptEngine {
   constructor() {
     this.taskDefinitions = this.createTaskDefinitions();
@@ -385,7 +387,7 @@ This is a one-shot explanation task - you have been shown ONE example of the exp
       content: this.promptTemplates[taskType].template
         .replace('{topic}', topic)
         .replace('{proficiency}', proficiency)
-        .replace('{retrievedChunks}', JSON.stringify(retrievedChunks, null, 2))
+        .replace('{retrievedChunks}', formatRetrievedChunks(retrievedChunks))
     };
 
     return [systemMessage, userMessage];
@@ -481,7 +483,7 @@ This is a one-shot explanation task - you have been shown ONE example of the exp
       content: customTemplate
         .replace('{topic}', topic)
         .replace('{proficiency}', proficiency)
-        .replace('{retrievedChunks}', JSON.stringify(retrievedChunks, null, 2))
+        .replace('{retrievedChunks}', formatRetrievedChunks(retrievedChunks))
     };
 
     return [systemMessage, userMessage];
@@ -0,0 +1,22 @@
+/**
+ * Retrieved chunk formatting shared by the prompt engines
+ */
+
+const NO_CHUNKS_TEXT = 'No specific citations provided. Use your constitutional knowledge to provide accurate information.';
+
+/**
+ * Formats retrieved chunks for inclusion in prompts
+ * @param {Array} chunks - Retrieved chunks ({ id, text, truncated })
+ * @returns {string} Numbered chunk list, or a note to rely on general knowledge when there are none
+ */
+function formatRetrievedChunks(chunks) {
+  if (!chunks || chunks.length === 0) {
+    return NO_CHUNKS_TEXT;
+  }
+
+  return chunks.map((chunk, i) =>
+    `${i + 1}) [${chunk.id || 'chunk' + i}] ${chunk.text}${chunk.truncated ? '...' : ''}`
+  ).join('\n\n');
+}
+
+module.exports = { formatRetrievedChunks };
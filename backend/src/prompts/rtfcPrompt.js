@@ -12,6 +12,8 @@
  * that lead to consistent, high-quality responses for constitutional education.
  */
 
+const { formatRetrievedChunks } = require('./retrievedChunks');
+
 class RTFCPromptEngine {
   constructor() {
     this.roleDefinitions = this.createRoleDefinitions();
@@ -629,11 +631,7 @@ ${context.objectives.map(o => `• ${o}`).join('\n')}
 USER PROFICIENCY LEVEL: ${proficiency}
 
 RELEVANT CONSTITUTIONAL CHUNKS:
-${retrievedChunks.map(chunk => 
-  `ID: ${chunk.id}
-Source: ${chunk.source}
-Content: ${chunk.content}`
-).join('\n\n')}
+${formatRetrievedChunks(retrievedChunks)}
 
 Use these constitutional chunks as your primary source of truth. Ensure all arguments and claims are supported by these sources.`;
   }
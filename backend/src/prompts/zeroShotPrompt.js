@@ -8,6 +8,8 @@
  * 4. Creating prompts that are self-contained and don't require prior examples
  */
 
+const { formatRetrievedChunks } = require('./retrievedChunks');
+
 class ZeroShotPromptEngine {
   constructor() {
     this.taskDefinitions = this.createTaskDefinitions();
@@ -251,7 +253,7 @@ This is a zero-shot explanation task - you can perform it based on your understa
     const formattedTemplate = template.template
       .replace('{topic}', topic)
       .replace('{proficiency}', proficiency)
-      .replace('{retrievedChunks}', this.formatRetrievedChunks(retrievedChunks));
+      .replace('{retrievedChunks}', formatRetrievedChunks(retrievedChunks));
 
     // Build the message structure
     const messages = [
@@ -288,19 +290,6 @@ This is a zero-shot explanation task - you can perform it based on your understa
     };
   }
 
-  /**
-   * Formats retrieved chunks for inclusion in prompts
-   */
-  formatRetrievedChunks(chunks) {
-    if (!chunks || chunks.length === 0) {
-      return "No specific citations provided. Use your constitutional knowledge to provide accurate information.";
-    }
-
-    return chunks.map((chunk, i) => 
-      `${i + 1}) [${chunk.id || 'chunk' + i}] ${chunk.text.slice(0, 300)}...`
-    ).join('\n\n');
-  }
-
   /**
    * Generates a debate prompt using zero-shot approach
    */
@@ -1,9 +1,23 @@
 const express = require('express');
 const router = express.Router();
+const {
+  listArticles,
+  getArticle,
+  searchArticles,
+  createArticle,
+  updateArticle,
+  deleteArticle
+} = require('../controllers/articleController');
+const { requireApiKey } = require('../middleware/requireApiKey');
 
-// Placeholder endpoint - implement actual article functionality later
-router.get('/', (req, res) => {
-  res.json({ message: 'Article routes working' });
-});
+// Browse and search the corpus citations are drawn from
+router.get('/', listArticles);
+router.get('/search', searchArticles);
+router.get('/:id', getArticle);
+
+// Corpus editing (requires ADMIN_API_KEY)
+router.post('/', requireApiKey, createArticle);
+router.put('/:id', requireApiKey, updateArticle);
+router.delete('/:id', requireApiKey, deleteArticle);
 
 module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  resolveConfig,
+  getPresets,
+  getPreset,
+  createPreset,
+  updatePreset,
+  deletePreset
+} = require('../controllers/configController');
+const { requireApiKey } = require('../middleware/requireApiKey');
+
+// Generation config a /api/debate/generate body resolves to, without calling the LLM
+router.post('/resolve', resolveConfig);
+
+// Context/task type presets and their recommended ranges
+router.get('/presets', getPresets);
+router.get('/presets/:name', getPreset);
+
+// User-defined presets (requires ADMIN_API_KEY)
+router.post('/presets', requireApiKey, createPreset);
+router.put('/presets/:name', requireApiKey, updatePreset);
+router.delete('/presets/:name', requireApiKey, deletePreset);
+
+module.exports = router;
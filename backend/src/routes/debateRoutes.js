@@ -2,17 +2,31 @@ const express = require('express');
 const router = express.Router();
 const { 
   generateDebate, 
+  generateDebateStream,
   generateDebateWithCoT, 
   generateDebateWithZeroShot, 
-  generateDebateWithDynamicPrompting 
+  generateDebateWithDynamicPrompting,
+  generateDebateWithMultiShot,
+  generateDebateWithOneShot,
+  generateDebateWithRTFC,
+  getStrategies
 } = require('../controllers/debateController');
 
+// Prompting strategies accepted by /generate
+router.get('/strategies', getStrategies);
+
 // Main debate generation endpoint (auto-selects strategy)
 router.post('/generate', generateDebate);
 
+// Same as /generate, streamed as Server-Sent Events
+router.post('/generate/stream', generateDebateStream);
+
 // Specific prompting strategy endpoints
 router.post('/generate/cot', generateDebateWithCoT);
 router.post('/generate/zero-shot', generateDebateWithZeroShot);
 router.post('/generate/dynamic', generateDebateWithDynamicPrompting);
+router.post('/generate/multi-shot', generateDebateWithMultiShot);
+router.post('/generate/one-shot', generateDebateWithOneShot);
+router.post('/generate/rtfc', generateDebateWithRTFC);
 
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getExperiments, getExperimentSummary, rateResponse } = require('../controllers/experimentController');
+
+// A/B experiments on prompting strategies and sampling settings
+router.get('/', getExperiments);
+router.get('/:name/summary', getExperimentSummary);
+
+// User ratings of responses served in an experiment
+router.post('/ratings', rateResponse);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getUsage } = require('../controllers/usageController');
+
+// Token, cost and latency totals from the usage ledger
+router.get('/', getUsage);
+
+module.exports = router;
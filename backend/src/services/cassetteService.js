@@ -0,0 +1,134 @@
+/**
+ * Cassette Service for CivicsCoach
+ *
+ * Record-and-replay layer for LLM calls, so scripts and tests can run against
+ * saved responses instead of the live API:
+ * - record: calls the real provider and saves the request and response to
+ *   <dir>/<hash>.json, keyed by a hash of the normalized request
+ * - replay: serves saved responses with no network access and throws on a
+ *   miss, so a changed prompt shows up as a missing cassette (and, once
+ *   re-recorded, as a diff in the fixture files)
+ * - off (default): calls the provider directly
+ *
+ * Select the mode with LLM_CASSETTE_MODE and the directory with LLM_CASSETTE_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+const DEFAULT_CASSETTE_DIR = path.join(__dirname, '../../data/cassettes');
+
+// Config fields that reach the provider's API; hints such as query and taskType are left out
+const RECORDED_CONFIG_KEYS = ['temperature', 'topP', 'topK', 'maxOutputTokens', 'stopSequences', 'outputMode'];
+
+/**
+ * Returns the configured cassette mode
+ */
+function getCassetteMode() {
+  const mode = process.env.LLM_CASSETTE_MODE || 'off';
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`Unknown cassette mode: ${mode}. Available modes: ${CASSETTE_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Reduces a request to the parts that determine the response: whitespace is
+ * collapsed, numbers are rounded and unset config fields are dropped, so
+ * cosmetic changes do not invalidate cassettes
+ */
+function normalizeRequest(providerName, model, messages, config = {}) {
+  const normalizedConfig = {};
+  RECORDED_CONFIG_KEYS.forEach(key => {
+    const value = config[key];
+    if (value === undefined || value === null) return;
+    normalizedConfig[key] = typeof value === 'number' ? Math.round(value * 10000) / 10000 : value;
+  });
+
+  return {
+    provider: providerName,
+    model,
+    messages: messages.map(msg => ({
+      role: msg.role,
+      content: String(msg.content).replace(/\s+/g, ' ').trim()
+    })),
+    config: normalizedConfig
+  };
+}
+
+/**
+ * Hashes a normalized request into a cassette key
+ */
+function cassetteKey(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Wraps a provider so its generate() and generateStream() record to or replay
+ * from cassettes. Both share one cassette per request; a replayed stream emits
+ * the recorded text as a single piece.
+ * @param {Object} provider - Provider implementing the llmService interface
+ * @param {Object} options - { mode: 'record' | 'replay', dir }
+ * @returns {Object} Provider with the same interface
+ */
+function withCassette(provider, { mode = getCassetteMode(), dir = process.env.LLM_CASSETTE_DIR || DEFAULT_CASSETTE_DIR } = {}) {
+  if (mode === 'off') return provider;
+
+  /**
+   * Replays the cassette for a request, or calls the provider and records it
+   */
+  async function playOrRecord(messages, config, callProvider, onReplay) {
+    const request = normalizeRequest(provider.name, provider.model, messages, config);
+    const key = cassetteKey(request);
+    const file = path.join(dir, `${key}.json`);
+
+    if (mode === 'replay') {
+      if (!fs.existsSync(file)) {
+        const preview = request.messages.map(msg => msg.content).join(' | ').slice(0, 200);
+        throw new Error(`Cassette miss for ${provider.name} request ${key} (${file}). ` +
+          `The prompt or sampling config changed; re-record with LLM_CASSETTE_MODE=record. Request: "${preview}..."`);
+      }
+      console.log(`📼 Replaying cassette ${key}`);
+      const { response } = JSON.parse(fs.readFileSync(file, 'utf8'));
+      onReplay(response);
+      return response;
+    }
+
+    const response = await callProvider();
+    fs.mkdirSync(dir, { recursive: true });
+    // No timestamps, so re-recording an unchanged request leaves the file unchanged
+    fs.writeFileSync(file, JSON.stringify({ key, request, response }, null, 2) + '\n');
+    console.log(`📼 Recorded cassette ${key}`);
+    return response;
+  }
+
+  const wrapped = {
+    ...provider,
+
+    generate(messages, config = {}) {
+      return playOrRecord(messages, config, () => provider.generate(messages, config), () => {});
+    }
+  };
+
+  if (provider.generateStream) {
+    wrapped.generateStream = (messages, config = {}, onText = () => {}) => playOrRecord(
+      messages,
+      config,
+      () => provider.generateStream(messages, config, onText),
+      response => response.text && onText(response.text)
+    );
+  }
+
+  return wrapped;
+}
+
+module.exports = {
+  withCassette,
+  getCassetteMode,
+  normalizeRequest,
+  cassetteKey,
+  CASSETTE_MODES,
+  DEFAULT_CASSETTE_DIR
+};
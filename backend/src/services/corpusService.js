@@ -0,0 +1,271 @@
+/**
+ * Corpus Service for CivicsCoach
+ *
+ * Reads, validates and edits data/corpus_chunks.json:
+ * 1. Loads and saves the corpus file
+ * 2. Validates chunk schema, empty text and duplicate ids
+ * 3. Adds chunks with the same id de-duplication seedCorpus has always applied
+ * 4. Removes chunks, summarizes the corpus and exports it as JSONL or CSV
+ * 5. Holds the live in-memory corpus the server retrieves from, notifying
+ *    listeners (e.g. retrieval indexes) whenever it is edited, and reports its
+ *    content version
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CORPUS_PATH = path.join(__dirname, '../../data/corpus_chunks.json');
+
+// Ids are used in citations and prompt text, so keep them to a safe character set
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const REQUIRED_METADATA = ['source', 'topic'];
+const EXPORT_FORMATS = ['jsonl', 'csv'];
+const CSV_COLUMNS = ['id', 'source', 'topic', 'article', 'part', 'case', 'year', 'text'];
+
+/**
+ * Reads the corpus from disk
+ * @param {string} filePath - Corpus file (default: data/corpus_chunks.json)
+ * @returns {Array} Corpus chunks, or an empty array when the file does not exist
+ */
+function loadCorpus(filePath = CORPUS_PATH) {
+  if (!fs.existsSync(filePath)) return [];
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Writes the corpus to disk
+ */
+function saveCorpus(corpus, filePath = CORPUS_PATH) {
+  fs.writeFileSync(filePath, JSON.stringify(corpus, null, 2));
+}
+
+// Live corpus used by the running server, loaded on first use
+let liveCorpus = null;
+let liveCorpusVersion = null;
+const changeListeners = [];
+
+/**
+ * Returns the live corpus, loading it from disk on first use
+ */
+function getCorpus() {
+  if (!liveCorpus) {
+    liveCorpus = loadCorpus();
+  }
+  return liveCorpus;
+}
+
+/**
+ * Replaces the live corpus, persists it and notifies change listeners
+ * @param {Array} corpus - New corpus chunks
+ */
+function updateCorpus(corpus) {
+  saveCorpus(corpus);
+  liveCorpus = corpus;
+  liveCorpusVersion = null;
+  changeListeners.forEach(listener => listener(corpus));
+}
+
+/**
+ * Returns a short content hash of the live corpus; it changes with every edit
+ * and stays the same across restarts when the file is unchanged
+ */
+function getCorpusVersion() {
+  if (!liveCorpusVersion) {
+    liveCorpusVersion = crypto.createHash('sha256').update(JSON.stringify(getCorpus())).digest('hex').slice(0, 12);
+  }
+  return liveCorpusVersion;
+}
+
+/**
+ * Registers a callback invoked with the new corpus after every updateCorpus()
+ */
+function onCorpusChange(listener) {
+  changeListeners.push(listener);
+}
+
+/**
+ * Validates a single chunk's shape
+ * @param {Object} chunk - Corpus chunk
+ * @returns {string[]} Error messages (empty when the chunk is valid)
+ */
+function validateChunk(chunk) {
+  const errors = [];
+
+  if (!chunk || typeof chunk !== 'object' || Array.isArray(chunk)) {
+    return ['chunk must be an object'];
+  }
+
+  if (typeof chunk.id !== 'string' || chunk.id.trim() === '') {
+    errors.push('id must be a non-empty string');
+  } else if (!ID_PATTERN.test(chunk.id)) {
+    errors.push(`id "${chunk.id}" may only contain letters, digits, "_" and "-"`);
+  }
+
+  if (typeof chunk.text !== 'string') {
+    errors.push('text must be a string');
+  } else if (chunk.text.trim() === '') {
+    errors.push('text must not be empty');
+  }
+
+  if (!chunk.metadata || typeof chunk.metadata !== 'object' || Array.isArray(chunk.metadata)) {
+    errors.push('metadata must be an object');
+  } else {
+    REQUIRED_METADATA.forEach(key => {
+      if (typeof chunk.metadata[key] !== 'string' || chunk.metadata[key].trim() === '') {
+        errors.push(`metadata.${key} must be a non-empty string`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates every chunk and checks for duplicate ids
+ * @param {Array} corpus - Corpus chunks
+ * @returns {Object} { ok, errors: [{ index, id, message }] }
+ */
+function validateCorpus(corpus) {
+  if (!Array.isArray(corpus)) {
+    return { ok: false, errors: [{ index: null, id: null, message: 'corpus must be an array' }] };
+  }
+
+  const errors = [];
+  const firstSeen = new Map();
+
+  corpus.forEach((chunk, index) => {
+    const id = chunk && chunk.id;
+    validateChunk(chunk).forEach(message => errors.push({ index, id, message }));
+
+    if (typeof id === 'string') {
+      if (firstSeen.has(id)) {
+        errors.push({ index, id, message: `duplicate id (first used at index ${firstSeen.get(id)})` });
+      } else {
+        firstSeen.set(id, index);
+      }
+    }
+  });
+
+  return { ok: errors.length === 0, errors };
+}
+
+/**
+ * Adds chunks to the corpus, skipping ids that already exist (as seedCorpus does)
+ * @param {Array} corpus - Current corpus chunks
+ * @param {Array} chunks - Chunks to add
+ * @param {Object} options - { replace: overwrite existing ids instead of skipping them }
+ * @returns {Object} { corpus, added, replaced, skipped, invalid: [{ id, errors }] }
+ */
+function addChunks(corpus, chunks, { replace = false } = {}) {
+  const updated = [...corpus];
+  const positions = new Map(updated.map((chunk, i) => [chunk.id, i]));
+  const result = { added: [], replaced: [], skipped: [], invalid: [] };
+
+  chunks.forEach(chunk => {
+    const errors = validateChunk(chunk);
+    if (errors.length > 0) {
+      result.invalid.push({ id: chunk && chunk.id, errors });
+      return;
+    }
+
+    if (!positions.has(chunk.id)) {
+      positions.set(chunk.id, updated.length);
+      updated.push(chunk);
+      result.added.push(chunk);
+    } else if (replace) {
+      updated[positions.get(chunk.id)] = chunk;
+      result.replaced.push(chunk);
+    } else {
+      result.skipped.push(chunk);
+    }
+  });
+
+  return { corpus: updated, ...result };
+}
+
+/**
+ * Removes chunks by id
+ * @param {Array} corpus - Current corpus chunks
+ * @param {string[]} ids - Ids to remove
+ * @returns {Object} { corpus, removed, missing }
+ */
+function removeChunks(corpus, ids) {
+  const wanted = new Set(ids);
+  const present = new Set(corpus.map(chunk => chunk.id));
+
+  return {
+    corpus: corpus.filter(chunk => !wanted.has(chunk.id)),
+    removed: ids.filter(id => present.has(id)),
+    missing: ids.filter(id => !present.has(id))
+  };
+}
+
+/**
+ * Summarizes the corpus
+ * @param {Array} corpus - Corpus chunks
+ * @returns {Object} { total, byTopic, bySource, averageLength }
+ */
+function corpusStats(corpus) {
+  const count = (key) => corpus.reduce((counts, chunk) => {
+    const value = (chunk.metadata && chunk.metadata[key]) || '(none)';
+    counts[value] = (counts[value] || 0) + 1;
+    return counts;
+  }, {});
+
+  const totalLength = corpus.reduce((sum, chunk) => sum + (chunk.text || '').length, 0);
+
+  return {
+    total: corpus.length,
+    byTopic: count('topic'),
+    bySource: count('source'),
+    averageLength: corpus.length > 0 ? Math.round(totalLength / corpus.length) : 0
+  };
+}
+
+/**
+ * Quotes a CSV field when needed
+ */
+function csvField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes the corpus for export
+ * @param {Array} corpus - Corpus chunks
+ * @param {string} format - 'jsonl' or 'csv'
+ * @returns {string} Serialized corpus
+ */
+function exportCorpus(corpus, format = 'jsonl') {
+  switch (format) {
+    case 'jsonl':
+      return corpus.map(chunk => JSON.stringify(chunk)).join('\n') + '\n';
+    case 'csv': {
+      const rows = corpus.map(chunk => CSV_COLUMNS.map(column => csvField(
+        column === 'id' || column === 'text' ? chunk[column] : (chunk.metadata || {})[column]
+      )).join(','));
+      return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+    default:
+      throw new Error(`Unknown export format: ${format}. Available formats: ${EXPORT_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  loadCorpus,
+  saveCorpus,
+  getCorpus,
+  updateCorpus,
+  getCorpusVersion,
+  onCorpusChange,
+  validateChunk,
+  validateCorpus,
+  addChunks,
+  removeChunks,
+  corpusStats,
+  exportCorpus,
+  CORPUS_PATH,
+  EXPORT_FORMATS
+};
@@ -0,0 +1,124 @@
+/**
+ * Embedding Service for CivicsCoach
+ *
+ * Pluggable text embedders used by the vector index in similarityService.
+ * Every embedder exposes the same interface:
+ *
+ *   {
+ *     name: string,              // identifier persisted alongside the vectors
+ *     dimensions: number,        // length of every vector
+ *     embed(texts): Promise<number[][]>   // one L2-normalized vector per text
+ *   }
+ *
+ * The default 'hashed-ngram' embedder is deterministic and fully local, so the
+ * index can be built and queried with no network access. Remote embedders
+ * (Gemini, OpenAI) can be plugged in with registerEmbedder().
+ */
+
+const crypto = require('crypto');
+const { tokenize } = require('../utils/tokenizer');
+
+const DEFAULT_EMBEDDER = 'hashed-ngram';
+const DEFAULT_DIMENSIONS = 256;
+
+/**
+ * Hashes a feature string to a bucket index and a +1/-1 sign (the "hashing trick")
+ */
+function hashFeature(feature, dimensions) {
+  const digest = crypto.createHash('md5').update(feature).digest();
+  return {
+    bucket: digest.readUInt32LE(0) % dimensions,
+    sign: digest[4] & 1 ? 1 : -1
+  };
+}
+
+/**
+ * Scales a vector to unit length so dot product equals cosine similarity
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Creates the local hashed n-gram embedder.
+ * Features are the stemmed word terms plus character trigrams of each term, so
+ * "federal" and "federalism" land close together even without a shared token.
+ * @param {Object} options - Embedder options
+ * @param {number} options.dimensions - Vector length (default: 256)
+ * @returns {Object} Embedder
+ */
+function createHashedNgramEmbedder({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+  function embedOne(text) {
+    const vector = new Array(dimensions).fill(0);
+    const counts = new Map();
+
+    tokenize(text).forEach(term => {
+      counts.set(`w:${term}`, (counts.get(`w:${term}`) || 0) + 1);
+      const padded = `#${term}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        const gram = `c:${padded.slice(i, i + 3)}`;
+        counts.set(gram, (counts.get(gram) || 0) + 0.5);
+      }
+    });
+
+    counts.forEach((count, feature) => {
+      const { bucket, sign } = hashFeature(feature, dimensions);
+      // Sublinear term frequency so repeated words do not dominate
+      vector[bucket] += sign * (1 + Math.log(count + 1));
+    });
+
+    return normalize(vector);
+  }
+
+  return {
+    name: DEFAULT_EMBEDDER,
+    dimensions,
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+// Registered embedder factories, keyed by name
+const EMBEDDERS = {
+  [DEFAULT_EMBEDDER]: createHashedNgramEmbedder
+};
+
+/**
+ * Registers an embedder factory (e.g. a Gemini or OpenAI embeddings adapter)
+ * @param {string} name - Embedder name, selectable via EMBEDDING_PROVIDER
+ * @param {Function} factory - (options) => embedder implementing the interface above
+ */
+function registerEmbedder(name, factory) {
+  EMBEDDERS[name] = factory;
+}
+
+/**
+ * Lists the names of the registered embedders
+ */
+function getAvailableEmbedders() {
+  return Object.keys(EMBEDDERS);
+}
+
+/**
+ * Creates an embedder by name
+ * @param {string} name - Embedder name (default: EMBEDDING_PROVIDER env or 'hashed-ngram')
+ * @param {Object} options - Options passed to the embedder factory
+ * @returns {Object} Embedder
+ */
+function createEmbedder(name = process.env.EMBEDDING_PROVIDER || DEFAULT_EMBEDDER, options = {}) {
+  const factory = EMBEDDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown embedder: ${name}. Available embedders: ${getAvailableEmbedders().join(', ')}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createEmbedder,
+  createHashedNgramEmbedder,
+  registerEmbedder,
+  getAvailableEmbedders,
+  DEFAULT_EMBEDDER
+};
@@ -0,0 +1,380 @@
+/**
+ * Experiment Service for CivicsCoach
+ *
+ * Runs A/B experiments on prompting strategies and sampling settings for
+ * /api/debate/generate and /generate/stream. Experiments are defined in
+ * EXPERIMENTS_FILE (default src/config/experiments.json):
+ *   [{ name, description, enabled, stickyBy: 'user' | 'session',
+ *      match: { <generate option>: value | [values] },
+ *      variants: [{ name, weight, settings: { <generate body fields> } }] }]
+ *
+ * A request joins the first enabled experiment whose match fields all equal
+ * its own options (after defaults), unless its body sets a field the
+ * experiment's variants set. The variant is picked by hashing the experiment
+ * name with the X-User-Id (stickyBy 'user', falling back to X-Session-Id) or
+ * X-Session-Id (stickyBy 'session') header, so the same user or session always
+ * gets the same variant; requests without those headers are not enrolled. The
+ * variant's settings replace the matching fields of the request body.
+ *
+ * One outcome per enrolled request, and the ratings users give those
+ * responses, are kept in memory and appended to EXPERIMENT_LOG_FILE as JSON
+ * lines; with EXPERIMENT_LOG=off they are kept in memory only. Token cost comes from the usage
+ * ledger, whose entries carry the experiment and variant.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { summarizeUsage, withinDates } = require('./usageService');
+
+const DEFAULT_EXPERIMENTS_FILE = path.join(__dirname, '../config/experiments.json');
+const DEFAULT_LOG_FILE = path.join(__dirname, '../../data/experiment_log.jsonl');
+
+// Headers that identify the assignment unit, keyed by stickyBy, in order of preference
+const STICKY_HEADERS = {
+  user: ['X-User-Id', 'X-Session-Id'],
+  session: ['X-Session-Id']
+};
+
+// Body fields that pick the prompting strategy (see promptStrategyService.strategyForRequest)
+const STRATEGY_FIELDS = ['strategy', 'useZeroShot', 'useDynamicPrompting'];
+
+// Request body fields a variant may set
+const VARIANT_SETTINGS = [
+  'strategy', 'specialization', 'useCoT', 'useZeroShot', 'useDynamicPrompting', 'taskType', 'context', 'provider',
+  'temperature', 'top_p', 'top_k', 'topK', 'maxOutputTokens', 'metric', 'retrievalMode', 'mmrLambda'
+];
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+/**
+ * Resolves the experiment settings from the environment
+ */
+function getExperimentConfig() {
+  return {
+    file: process.env.EXPERIMENTS_FILE || DEFAULT_EXPERIMENTS_FILE,
+    logEnabled: process.env.EXPERIMENT_LOG !== 'off',
+    logFile: process.env.EXPERIMENT_LOG_FILE || DEFAULT_LOG_FILE
+  };
+}
+
+/**
+ * Validates an experiment definition
+ * @returns {string[]} Error messages (empty when the experiment is valid)
+ */
+function validateExperiment(experiment) {
+  const errors = [];
+
+  if (!experiment || typeof experiment !== 'object' || Array.isArray(experiment)) {
+    return ['experiment must be an object'];
+  }
+
+  if (typeof experiment.name !== 'string' || experiment.name.trim() === '') {
+    errors.push('name must be a non-empty string');
+  }
+
+  if (experiment.stickyBy !== undefined && !STICKY_HEADERS[experiment.stickyBy]) {
+    errors.push(`stickyBy must be one of: ${Object.keys(STICKY_HEADERS).join(', ')}`);
+  }
+
+  if (experiment.match !== undefined && (typeof experiment.match !== 'object' || Array.isArray(experiment.match))) {
+    errors.push('match must be an object');
+  }
+
+  if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+    errors.push('variants must list at least two variants');
+    return errors;
+  }
+
+  const names = new Set();
+  experiment.variants.forEach((variant, index) => {
+    if (!variant || typeof variant.name !== 'string' || variant.name.trim() === '') {
+      errors.push(`variants[${index}].name must be a non-empty string`);
+      return;
+    }
+    if (names.has(variant.name)) errors.push(`variant name "${variant.name}" is used twice`);
+    names.add(variant.name);
+
+    if (variant.weight !== undefined && !(typeof variant.weight === 'number' && variant.weight > 0)) {
+      errors.push(`variants[${index}].weight must be a positive number`);
+    }
+    Object.keys(variant.settings || {}).forEach(field => {
+      if (!VARIANT_SETTINGS.includes(field)) {
+        errors.push(`variants[${index}].settings.${field} is not a generate option. Available options: ${VARIANT_SETTINGS.join(', ')}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+// Experiments, loaded from the experiments file on first use
+let experiments;
+
+function loadExperiments() {
+  if (experiments) return experiments;
+  experiments = [];
+  const { file } = getExperimentConfig();
+  if (!fs.existsSync(file)) return experiments;
+
+  JSON.parse(fs.readFileSync(file, 'utf8')).forEach(experiment => {
+    const errors = validateExperiment(experiment);
+    if (errors.length > 0) {
+      console.warn(`⚠️ Skipping invalid experiment ${experiment && experiment.name}: ${errors.join('; ')}`);
+      return;
+    }
+    experiments.push({
+      description: '',
+      enabled: true,
+      stickyBy: 'user',
+      match: {},
+      ...experiment,
+      variants: experiment.variants.map(variant => ({ weight: 1, settings: {}, ...variant }))
+    });
+  });
+  return experiments;
+}
+
+function listExperiments() {
+  return loadExperiments();
+}
+
+function findExperiment(name) {
+  return loadExperiments().find(experiment => experiment.name === name) || null;
+}
+
+/**
+ * Whether request options satisfy an experiment's match fields; an array
+ * matches any of its values
+ */
+function matchesExperiment(experiment, options) {
+  return Object.entries(experiment.match).every(([field, expected]) =>
+    (Array.isArray(expected) ? expected.includes(options[field]) : options[field] === expected));
+}
+
+/**
+ * The body fields an experiment's variants set; variants that pick the strategy
+ * control every field that does, since any of them can override the others
+ */
+function controlledFields(experiment) {
+  const fields = new Set(experiment.variants.flatMap(variant => Object.keys(variant.settings)));
+  if (STRATEGY_FIELDS.some(field => fields.has(field))) {
+    STRATEGY_FIELDS.forEach(field => fields.add(field));
+  }
+  return fields;
+}
+
+/**
+ * Picks a variant by weight from a stable hash of the experiment and unit id
+ */
+function pickVariant(experiment, unitId) {
+  const hash = crypto.createHash('sha256').update(`${experiment.name}:${unitId}`).digest();
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+  return experiment.variants.find(variant => (point -= variant.weight) < 0) || experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Assigns a request to an experiment variant
+ * @param {Object} options - The request's generate options (after defaults)
+ * @param {Function} header - Reads a request header by name
+ * @param {string[]} explicitFields - Body fields the request sets itself
+ * @returns {Object|null} { experiment, variant, settings, stickyBy, unitId, requestId },
+ *   or null when no experiment applies
+ */
+function assignVariant(options, header, explicitFields = []) {
+  const experiment = loadExperiments().find(candidate => candidate.enabled && matchesExperiment(candidate, options));
+  if (!experiment) return null;
+
+  // A variant never overrides a choice the request made explicitly
+  const controlled = controlledFields(experiment);
+  const conflict = explicitFields.find(field => controlled.has(field));
+  if (conflict) {
+    console.log(`🧪 Not enrolled in ${experiment.name}: the request sets ${conflict}`);
+    return null;
+  }
+
+  const unitId = STICKY_HEADERS[experiment.stickyBy].map(header).find(Boolean);
+  if (!unitId) return null;
+
+  const variant = pickVariant(experiment, unitId);
+  return {
+    experiment: experiment.name,
+    variant: variant.name,
+    settings: variant.settings,
+    stickyBy: experiment.stickyBy,
+    unitId,
+    requestId: crypto.randomUUID()
+  };
+}
+
+// Outcome and rating log entries, loaded from the log file on first use
+let logEntries;
+
+function loadLog() {
+  if (logEntries) return logEntries;
+  logEntries = [];
+  const { logEnabled, logFile } = getExperimentConfig();
+  if (!logEnabled || !fs.existsSync(logFile)) return logEntries;
+
+  fs.readFileSync(logFile, 'utf8').split('\n').filter(Boolean).forEach((line, index) => {
+    try {
+      logEntries.push(JSON.parse(line));
+    } catch (err) {
+      console.warn(`⚠️ Skipping unreadable experiment log line ${index + 1}: ${err.message}`);
+    }
+  });
+  return logEntries;
+}
+
+/**
+ * Keeps a log entry in memory and, unless EXPERIMENT_LOG=off, appends it to the log file
+ */
+function appendLog(entry) {
+  loadLog().push(entry);
+  const { logEnabled, logFile } = getExperimentConfig();
+  if (!logEnabled) return entry;
+
+  try {
+    fs.mkdirSync(path.dirname(logFile), { recursive: true });
+    fs.appendFileSync(logFile, `${JSON.stringify(entry)}\n`);
+  } catch (err) {
+    console.warn(`⚠️ Could not write experiment log ${logFile}: ${err.message}`);
+  }
+  return entry;
+}
+
+/**
+ * Records the outcome of an enrolled request
+ * @param {Object} assignment - assignVariant() result
+ * @param {Object} outcome - { status (HTTP status), citationCheck, cacheHit, failed (the
+ *   generation threw, e.g. the provider was unavailable, so no output was returned) }
+ * @returns {Object} The stored entry
+ */
+function recordOutcome(assignment, { status, citationCheck = null, cacheHit = false, failed = false }) {
+  return appendLog({
+    type: 'outcome',
+    timestamp: new Date().toISOString(),
+    requestId: assignment.requestId,
+    experiment: assignment.experiment,
+    variant: assignment.variant,
+    unitId: assignment.unitId,
+    status,
+    failed,
+    // 422 and 500 from finishGeneration mean the output never passed validation
+    validationOk: status === 200,
+    citations: citationCheck ? { total: citationCheck.total, verified: citationCheck.verified } : null,
+    cacheHit
+  });
+}
+
+/**
+ * Validates a rating
+ * @returns {Object} { ok, error }
+ */
+function validateRating(rating) {
+  if (Number.isInteger(rating) && rating >= MIN_RATING && rating <= MAX_RATING) return { ok: true };
+  return { ok: false, error: `rating must be an integer from ${MIN_RATING} to ${MAX_RATING}` };
+}
+
+/**
+ * Records a user's rating of an enrolled response; a later rating of the
+ * same response replaces the earlier one in summaries
+ * @returns {Object|null} The stored entry, or null when the request is unknown
+ */
+function recordRating(requestId, rating) {
+  const outcome = loadLog().find(entry => entry.type === 'outcome' && entry.requestId === requestId);
+  if (!outcome) return null;
+
+  return appendLog({
+    type: 'rating',
+    timestamp: new Date().toISOString(),
+    requestId,
+    experiment: outcome.experiment,
+    variant: outcome.variant,
+    unitId: outcome.unitId,
+    rating
+  });
+}
+
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+/**
+ * Outcome metrics for one variant's log entries and usage ledger totals
+ */
+function summarizeVariant(variant, entries, usage) {
+  const outcomes = entries.filter(entry => entry.type === 'outcome');
+  // Validation and citation rates cover the requests that got model output or a cached response
+  const answered = outcomes.filter(entry => !entry.failed);
+  const latestRatings = new Map();
+  entries.filter(entry => entry.type === 'rating').forEach(entry => latestRatings.set(entry.requestId, entry.rating));
+  const ratings = [...latestRatings.values()];
+  const citations = outcomes.filter(entry => entry.citations);
+  const citationsTotal = citations.reduce((sum, entry) => sum + entry.citations.total, 0);
+  const citationsVerified = citations.reduce((sum, entry) => sum + entry.citations.verified, 0);
+  const costUsd = usage ? usage.costUsd : null;
+
+  return {
+    variant,
+    requests: outcomes.length,
+    failedRequests: outcomes.length - answered.length,
+    cacheHits: outcomes.filter(entry => entry.cacheHit).length,
+    successRate: rate(outcomes.filter(entry => entry.status === 200).length, outcomes.length),
+    validationPassRate: rate(answered.filter(entry => entry.validationOk).length, answered.length),
+    citationVerificationRate: rate(citationsVerified, citationsTotal),
+    citations: { total: citationsTotal, verified: citationsVerified },
+    ratings: {
+      count: ratings.length,
+      average: ratings.length ? Math.round((ratings.reduce((sum, value) => sum + value, 0) / ratings.length) * 100) / 100 : null
+    },
+    inputTokens: usage ? usage.inputTokens : 0,
+    outputTokens: usage ? usage.outputTokens : 0,
+    costUsd,
+    costPerRequest: costUsd !== null && outcomes.length ? Math.round((costUsd / outcomes.length) * 1e6) / 1e6 : null
+  };
+}
+
+/**
+ * Summarizes an experiment's outcomes per variant
+ * @param {string} name - Experiment name
+ * @param {Object} options - { from, to (ISO dates or timestamps, inclusive) }
+ * @returns {Object} { experiment, from, to, variants: [{ variant, requests, cacheHits,
+ *   validationPassRate, citationVerificationRate, citations, ratings, inputTokens,
+ *   outputTokens, costUsd, costPerRequest }] }
+ */
+function summarizeExperiment(name, { from = null, to = null } = {}) {
+  const inRange = withinDates(from, to);
+  const entries = loadLog().filter(entry => entry.experiment === name && inRange(entry));
+  const usageGroups = summarizeUsage({ groupBy: 'variant', from, to }).groups;
+
+  const experiment = findExperiment(name);
+  const variantNames = new Set([
+    ...(experiment ? experiment.variants.map(variant => variant.name) : []),
+    ...entries.map(entry => entry.variant)
+  ]);
+
+  return {
+    experiment: name,
+    from,
+    to,
+    variants: [...variantNames].map(variant => summarizeVariant(
+      variant,
+      entries.filter(entry => entry.variant === variant),
+      usageGroups.find(group => group.key === `${name}:${variant}`)
+    ))
+  };
+}
+
+module.exports = {
+  listExperiments,
+  findExperiment,
+  validateExperiment,
+  assignVariant,
+  recordOutcome,
+  recordRating,
+  validateRating,
+  summarizeExperiment,
+  getExperimentConfig,
+  DEFAULT_EXPERIMENTS_FILE
+};
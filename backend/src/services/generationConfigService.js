@@ -0,0 +1,599 @@
+/**
+ * Generation Config Service for CivicsCoach
+ *
+ * Resolves every generation parameter from one set of inputs (context, task
+ * type, proficiency, query and user overrides):
+ * - temperature: preset, then proficiency adjustment
+ * - topP: preset, then query complexity, creative-query and proficiency adjustments
+ * - topK.retrieval: chunks to retrieve; preset, then complexity and proficiency adjustments
+ * - topK.sampling: sampling Top K sent to the provider; user override only
+ * - maxOutputTokens: the override, a custom context's value or 2048, capped by the model's output limit
+ *
+ * Contexts are the built-in presets below or user-defined ones registered by
+ * presetService, which fall back to a built-in context for anything they leave out.
+ * A user override replaces the computed value (clamped to the valid range).
+ * Every value comes with a provenance trace: the steps that produced it, as
+ *   { source: 'preset' | 'complexity' | 'creative' | 'proficiency' | 'override' |
+ *     'default' | 'modelLimit' | 'clamp', value, note }
+ * Steps that would not change the value (e.g. an adjustment already at the
+ * preset's bound) are left out.
+ */
+
+const { resolveMaxOutputTokens, DEFAULT_MAX_OUTPUT_TOKENS } = require('../utils/tokenBudget');
+const { MODEL_CATALOG } = require('../utils/modelCatalog');
+
+const DEFAULT_CONTEXT = 'constitutionalEducation';
+const DEFAULT_TASK_TYPE = 'debate';
+const DEFAULT_PROFICIENCY = 'intermediate';
+
+// Older names still accepted for a context
+const CONTEXT_ALIASES = { creative: 'creativeTasks' };
+
+// Valid range of each parameter; overrides and adjusted values are clamped to it
+const PARAMETER_BOUNDS = {
+  temperature: { min: 0, max: 2 },
+  topP: { min: 0, max: 1 },
+  retrievalTopK: { min: 1, max: 20 },
+  // Up to the largest output limit in the model catalog; each model caps it further
+  maxOutputTokens: { min: 1, max: Math.max(...Object.values(MODEL_CATALOG).map(info => info.maxOutputTokens)) }
+};
+
+// Request fields that replace a resolved value, with the range each must be in
+const OVERRIDE_FIELDS = {
+  temperature: { ...PARAMETER_BOUNDS.temperature, integer: false },
+  top_p: { ...PARAMETER_BOUNDS.topP, integer: false },
+  topK: { ...PARAMETER_BOUNDS.retrievalTopK, integer: true },
+  top_k: { min: 1, max: Infinity, integer: true },
+  maxOutputTokens: { ...PARAMETER_BOUNDS.maxOutputTokens, integer: true }
+};
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// User-defined contexts (presetService), keyed by name:
+//   { name, basedOn, taskTypes: { <taskType>: { temperature, topP, topK, maxOutputTokens } } }
+const CUSTOM_CONTEXTS = {};
+
+/**
+ * Temperature Configuration for Different Use Cases
+ * 
+ * Temperature controls the randomness/creativity of AI responses:
+ * - 0.0: Most deterministic, consistent responses
+ * - 0.1-0.3: Low creativity, high consistency (good for factual content)
+ * - 0.4-0.7: Balanced creativity and consistency
+ * - 0.8-1.0: High creativity, more varied responses
+ * - 1.0+: Very creative, potentially unpredictable
+ */
+const TEMPERATURE_PRESETS = {
+  // Constitutional Education - High accuracy, low creativity
+  constitutionalEducation: {
+    debate: 0.1,        // Structured debates need consistency
+    analysis: 0.1,      // Legal analysis requires precision
+    comparison: 0.2,    // Comparisons benefit from slight variation
+    explanation: 0.3,   // Explanations can be slightly creative
+    quiz: 0.1           // Quiz questions need consistency
+  },
+  
+  // Academic Research - Balanced approach
+  academicResearch: {
+    debate: 0.2,        // Academic debates need some creativity
+    analysis: 0.15,     // Research analysis requires precision
+    comparison: 0.25,   // Academic comparisons benefit from insight
+    explanation: 0.3,   // Academic explanations need clarity
+    quiz: 0.15          // Academic quizzes need consistency
+  },
+  
+  // Public Policy - Practical and accessible
+  publicPolicy: {
+    debate: 0.3,        // Policy debates need practical insights
+    analysis: 0.25,     // Policy analysis needs clarity
+    comparison: 0.3,    // Policy comparisons need practical focus
+    explanation: 0.4,   // Policy explanations need accessibility
+    quiz: 0.2           // Policy quizzes need practical focus
+  },
+  
+  // General Public - More accessible and engaging
+  generalPublic: {
+    debate: 0.4,        // Public debates need engagement
+    analysis: 0.3,      // Public analysis needs accessibility
+    comparison: 0.4,    // Public comparisons need relatability
+    explanation: 0.5,   // Public explanations need engagement
+    quiz: 0.3           // Public quizzes need engagement
+  },
+  
+  // Creative Tasks - Higher creativity for innovative content
+  creativeTasks: {
+    debate: 0.6,        // Creative debates need innovation
+    analysis: 0.5,      // Creative analysis needs insight
+    comparison: 0.6,    // Creative comparisons need perspective
+    explanation: 0.7,   // Creative explanations need engagement
+    quiz: 0.5           // Creative quizzes need variety
+  }
+};
+
+
+// Top P Optimization System
+const TOP_P_PRESETS = {
+  // Context-based presets
+  constitutionalEducation: {
+    debate: { min: 0.7, max: 0.95, default: 0.85 },
+    analysis: { min: 0.8, max: 0.95, default: 0.9 },
+    comparison: { min: 0.75, max: 0.95, default: 0.85 },
+    explanation: { min: 0.8, max: 0.95, default: 0.9 },
+    quiz: { min: 0.7, max: 0.9, default: 0.8 }
+  },
+  academicResearch: {
+    debate: { min: 0.75, max: 0.95, default: 0.85 },
+    analysis: { min: 0.8, max: 0.95, default: 0.9 },
+    comparison: { min: 0.8, max: 0.95, default: 0.9 },
+    explanation: { min: 0.85, max: 0.95, default: 0.9 },
+    quiz: { min: 0.75, max: 0.9, default: 0.85 }
+  },
+  publicPolicy: {
+    debate: { min: 0.7, max: 0.95, default: 0.8 },
+    analysis: { min: 0.75, max: 0.95, default: 0.85 },
+    comparison: { min: 0.8, max: 0.95, default: 0.85 },
+    explanation: { min: 0.8, max: 0.95, default: 0.85 },
+    quiz: { min: 0.7, max: 0.9, default: 0.8 }
+  },
+  generalPublic: {
+    debate: { min: 0.6, max: 0.9, default: 0.75 },
+    analysis: { min: 0.7, max: 0.9, default: 0.8 },
+    comparison: { min: 0.7, max: 0.9, default: 0.8 },
+    explanation: { min: 0.75, max: 0.9, default: 0.8 },
+    quiz: { min: 0.6, max: 0.85, default: 0.75 }
+  },
+  creativeTasks: {
+    debate: { min: 0.8, max: 0.98, default: 0.9 },
+    analysis: { min: 0.85, max: 0.98, default: 0.9 },
+    comparison: { min: 0.8, max: 0.98, default: 0.9 },
+    explanation: { min: 0.8, max: 0.95, default: 0.85 },
+    quiz: { min: 0.75, max: 0.9, default: 0.8 }
+  }
+};
+
+// Top K Optimization System
+const TOP_K_PRESETS = {
+  // Context-based presets
+  constitutionalEducation: {
+    debate: { min: 3, max: 6, default: 4 },
+    analysis: { min: 4, max: 8, default: 5 },
+    comparison: { min: 5, max: 10, default: 6 },
+    explanation: { min: 3, max: 7, default: 4 },
+    quiz: { min: 2, max: 5, default: 3 }
+  },
+  academicResearch: {
+    debate: { min: 4, max: 8, default: 5 },
+    analysis: { min: 5, max: 10, default: 6 },
+    comparison: { min: 6, max: 12, default: 8 },
+    explanation: { min: 4, max: 8, default: 5 },
+    quiz: { min: 3, max: 6, default: 4 }
+  },
+  publicPolicy: {
+    debate: { min: 3, max: 7, default: 4 },
+    analysis: { min: 4, max: 8, default: 5 },
+    comparison: { min: 5, max: 10, default: 6 },
+    explanation: { min: 3, max: 6, default: 4 },
+    quiz: { min: 2, max: 5, default: 3 }
+  },
+  generalPublic: {
+    debate: { min: 2, max: 5, default: 3 },
+    analysis: { min: 3, max: 6, default: 4 },
+    comparison: { min: 4, max: 8, default: 5 },
+    explanation: { min: 2, max: 5, default: 3 },
+    quiz: { min: 2, max: 4, default: 3 }
+  },
+  creativeTasks: {
+    debate: { min: 4, max: 10, default: 6 },
+    analysis: { min: 5, max: 12, default: 7 },
+    comparison: { min: 6, max: 15, default: 8 },
+    explanation: { min: 4, max: 8, default: 5 },
+    quiz: { min: 3, max: 7, default: 4 }
+  }
+};
+
+// Query complexity analysis shared by the Top P and Top K optimizers
+function analyzeQueryComplexity(query) {
+  const text = String(query || '');
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  const hasComplexTerms = /(doctrine|jurisdiction|constitutional|amendment|fundamental)/i.test(text);
+  const hasMultipleConcepts = /\b(and|or|versus|compared|difference)\b/i.test(text);
+  const hasCreativeElements = /(imagine|create|design|innovate|brainstorm)/i.test(text);
+
+  // Long queries, or technical ones that also relate several concepts, are complex;
+  // a medium length or either signal alone makes a query moderate
+  let complexity = 'simple';
+  if (words > 15 || (hasComplexTerms && hasMultipleConcepts)) {
+    complexity = 'complex';
+  } else if (words > 8 || hasComplexTerms || hasMultipleConcepts) {
+    complexity = 'moderate';
+  }
+
+  return { complexity, hasCreativeElements, wordCount: words, hasComplexTerms, hasMultipleConcepts };
+}
+
+const round = value => Math.round(value * 10000) / 10000;
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Records how a value was produced; steps that leave the value unchanged are skipped
+ */
+function createTrace() {
+  const steps = [];
+  let value = null;
+
+  return {
+    start(source, next, note) {
+      value = next === null ? null : round(next);
+      steps.push({ source, value, note });
+    },
+
+    apply(source, next, note) {
+      const rounded = round(next);
+      if (rounded === value) return;
+      value = rounded;
+      steps.push({ source, value, note });
+    },
+
+    get value() {
+      return value;
+    },
+
+    steps
+  };
+}
+
+/**
+ * Finds the preset for a context and task type, falling back to
+ * constitutionalEducation and debate for unknown names. A custom context uses
+ * its own value where it sets one and its basedOn context otherwise; a single
+ * number for a ranged value (Top P, Top K) pins it.
+ * @param {Object} presets - Built-in table (TEMPERATURE_PRESETS, TOP_P_PRESETS or TOP_K_PRESETS)
+ * @param {string} field - The custom preset field for the table: temperature, topP or topK
+ * @returns {Object} { preset, name: "context.taskType" actually used }
+ */
+function lookupPreset(presets, field, context, taskType) {
+  const custom = hasOwn(CUSTOM_CONTEXTS, context) ? CUSTOM_CONTEXTS[context] : null;
+  if (custom) {
+    const value = custom.taskTypes[taskType] && custom.taskTypes[taskType][field];
+    if (value === undefined) return lookupPreset(presets, field, custom.basedOn, taskType);
+    const ranged = typeof presets[DEFAULT_CONTEXT][DEFAULT_TASK_TYPE] === 'object';
+    const preset = ranged && typeof value === 'number' ? { min: value, max: value, default: value } : value;
+    return { preset, name: `${custom.name}.${taskType}` };
+  }
+
+  const aliased = hasOwn(CONTEXT_ALIASES, context) ? CONTEXT_ALIASES[context] : context;
+  const contextName = hasOwn(presets, aliased) ? aliased : DEFAULT_CONTEXT;
+  const taskName = hasOwn(presets[contextName], taskType) ? taskType : DEFAULT_TASK_TYPE;
+  return { preset: presets[contextName][taskName], name: `${contextName}.${taskName}` };
+}
+
+/**
+ * Starts a trace from the user override when there is one
+ * @returns {boolean} Whether the override was used
+ */
+function startFromOverride(trace, override, min, max) {
+  if (override === null || override === undefined) return false;
+  trace.start('override', override, 'requested');
+  trace.apply('clamp', clamp(override, min, max), `clamped to ${min}-${max}`);
+  return true;
+}
+
+/**
+ * Temperature: preset, scaled by proficiency (beginners x0.8, advanced x1.1)
+ */
+function resolveTemperature({ context, taskType, proficiency, override }) {
+  const trace = createTrace();
+  const { min, max } = PARAMETER_BOUNDS.temperature;
+  if (!startFromOverride(trace, override, min, max)) {
+    const { preset, name } = lookupPreset(TEMPERATURE_PRESETS, 'temperature', context, taskType);
+    trace.start('preset', preset, name);
+
+    // Beginners need more consistency; advanced users can handle slightly more variation
+    if (proficiency === 'beginner') trace.apply('proficiency', trace.value * 0.8, 'beginner x0.8');
+    if (proficiency === 'advanced') trace.apply('proficiency', trace.value * 1.1, 'advanced x1.1');
+    trace.apply('clamp', clamp(trace.value, min, max), `clamped to ${min}-${max}`);
+  }
+  return trace;
+}
+
+/**
+ * Top P: preset default, moved within the preset's bounds by query complexity,
+ * creative wording and proficiency
+ */
+function resolveTopP({ context, taskType, proficiency, queryComplexity, override }) {
+  const trace = createTrace();
+  const { min, max } = PARAMETER_BOUNDS.topP;
+  if (!startFromOverride(trace, override, min, max)) {
+    const { preset, name } = lookupPreset(TOP_P_PRESETS, 'topP', context, taskType);
+    trace.start('preset', preset.default, name);
+
+    // Simple queries get more focused responses, complex ones more diverse responses
+    if (queryComplexity.complexity === 'simple') {
+      trace.apply('complexity', Math.max(preset.min, trace.value - 0.05), 'simple query -0.05');
+    } else if (queryComplexity.complexity === 'complex') {
+      trace.apply('complexity', Math.min(preset.max, trace.value + 0.05), 'complex query +0.05');
+    }
+    if (queryComplexity.hasCreativeElements) {
+      trace.apply('creative', Math.min(preset.max, trace.value + 0.05), 'creative query +0.05');
+    }
+
+    // Beginners benefit from focused responses; advanced users from more diverse ones
+    if (proficiency === 'beginner') {
+      trace.apply('proficiency', Math.max(preset.min, trace.value - 0.05), 'beginner -0.05');
+    } else if (proficiency === 'advanced') {
+      trace.apply('proficiency', Math.min(preset.max, trace.value + 0.05), 'advanced +0.05');
+    }
+    trace.apply('clamp', clamp(trace.value, min, max), `clamped to ${min}-${max}`);
+  }
+  return trace;
+}
+
+/**
+ * Retrieval Top K: preset default, moved within the preset's bounds by query
+ * complexity and proficiency
+ */
+function resolveRetrievalTopK({ context, taskType, proficiency, queryComplexity, override }) {
+  const trace = createTrace();
+  const { min, max } = PARAMETER_BOUNDS.retrievalTopK;
+  if (!startFromOverride(trace, override, min, max)) {
+    const { preset, name } = lookupPreset(TOP_K_PRESETS, 'topK', context, taskType);
+    trace.start('preset', preset.default, name);
+
+    if (queryComplexity.complexity === 'simple') {
+      trace.apply('complexity', Math.max(preset.min, trace.value - 1), 'simple query -1');
+    } else if (queryComplexity.complexity === 'complex') {
+      trace.apply('complexity', Math.min(preset.max, trace.value + 2), 'complex query +2');
+    }
+
+    // Beginners need more context; advanced users can work with more focused results
+    if (proficiency === 'beginner') {
+      trace.apply('proficiency', Math.min(preset.max, trace.value + 1), 'beginner +1');
+    } else if (proficiency === 'advanced') {
+      trace.apply('proficiency', Math.max(preset.min, trace.value - 1), 'advanced -1');
+    }
+    trace.apply('clamp', clamp(trace.value, min, max), `clamped to ${min}-${max}`);
+  }
+  return trace;
+}
+
+/**
+ * Sampling Top K: sent to the provider only when the user sets it
+ */
+function resolveSamplingTopK({ override }) {
+  const trace = createTrace();
+  if (override === null || override === undefined) {
+    trace.start('default', null, 'not sent; provider default');
+  } else {
+    trace.start('override', override, 'requested');
+  }
+  return trace;
+}
+
+/**
+ * A custom context's max output tokens for a task type (built-in presets have none)
+ */
+function lookupMaxOutput(context, taskType) {
+  const custom = hasOwn(CUSTOM_CONTEXTS, context) ? CUSTOM_CONTEXTS[context] : null;
+  return custom && hasOwn(custom.taskTypes, taskType) ? custom.taskTypes[taskType].maxOutputTokens : undefined;
+}
+
+/**
+ * Max output tokens: the override (clamped to its valid range), a custom
+ * context's value or 2048, capped by the model's output limit
+ */
+function resolveMaxOutput({ context, taskType, model, override }) {
+  const trace = createTrace();
+  const presetValue = lookupMaxOutput(context, taskType);
+  const { min, max } = PARAMETER_BOUNDS.maxOutputTokens;
+
+  if (!startFromOverride(trace, override, min, max)) {
+    if (presetValue !== undefined) trace.start('preset', presetValue, `${context}.${taskType}`);
+    else trace.start('default', DEFAULT_MAX_OUTPUT_TOKENS, 'default response length');
+  }
+  trace.apply('modelLimit', resolveMaxOutputTokens(model, trace.value), `${model || 'unknown model'} limit`);
+  return trace;
+}
+
+/**
+ * Resolves temperature, Top P, Top K and max output tokens for a request
+ * @param {Object} options
+ * @param {string} options.context - Preset context (default: constitutionalEducation)
+ * @param {string} options.taskType - Task type (default: debate)
+ * @param {string} options.proficiency - beginner | intermediate | advanced
+ * @param {string} options.query - Query, for the complexity adjustments
+ * @param {Object} options.overrides - { temperature, topP, topK (sampling), retrievalTopK, maxOutputTokens };
+ *   null or missing values are computed
+ * @param {string} options.model - Model name, for its output limit
+ * @returns {Object} { context, taskType, proficiency, queryComplexity, temperature, topP,
+ *   topK: { sampling, retrieval }, maxOutputTokens, provenance (same shape, with trace steps) }
+ */
+function resolveGenerationConfig({
+  context = DEFAULT_CONTEXT,
+  taskType = DEFAULT_TASK_TYPE,
+  proficiency = DEFAULT_PROFICIENCY,
+  query = '',
+  overrides = {},
+  model = null
+} = {}) {
+  const queryComplexity = analyzeQueryComplexity(query);
+  const inputs = { context, taskType, proficiency, queryComplexity };
+
+  const temperature = resolveTemperature({ ...inputs, override: overrides.temperature });
+  const topP = resolveTopP({ ...inputs, override: overrides.topP });
+  const retrievalTopK = resolveRetrievalTopK({ ...inputs, override: overrides.retrievalTopK });
+  const samplingTopK = resolveSamplingTopK({ override: overrides.topK });
+  const maxOutputTokens = resolveMaxOutput({ context, taskType, model, override: overrides.maxOutputTokens });
+
+  return {
+    context,
+    taskType,
+    proficiency,
+    queryComplexity,
+    temperature: temperature.value,
+    topP: topP.value,
+    topK: { sampling: samplingTopK.value, retrieval: retrievalTopK.value },
+    maxOutputTokens: maxOutputTokens.value,
+    provenance: {
+      temperature: temperature.steps,
+      topP: topP.steps,
+      topK: { sampling: samplingTopK.steps, retrieval: retrievalTopK.steps },
+      maxOutputTokens: maxOutputTokens.steps
+    }
+  };
+}
+
+/**
+ * Registers a user-defined context; replaces one with the same name
+ * @param {Object} preset - { name, basedOn (built-in context, default constitutionalEducation),
+ *   taskTypes: { <taskType>: { temperature, topP, topK, maxOutputTokens } } }
+ */
+function registerContext(preset) {
+  CUSTOM_CONTEXTS[preset.name] = {
+    name: preset.name,
+    basedOn: CONTEXT_ALIASES[preset.basedOn] || preset.basedOn || DEFAULT_CONTEXT,
+    taskTypes: preset.taskTypes || {}
+  };
+}
+
+function unregisterContext(name) {
+  delete CUSTOM_CONTEXTS[name];
+}
+
+function isBuiltInContext(name) {
+  return hasOwn(TEMPERATURE_PRESETS, name) || hasOwn(CONTEXT_ALIASES, name);
+}
+
+function getAvailableContexts() {
+  return [...Object.keys(TEMPERATURE_PRESETS), ...Object.keys(CUSTOM_CONTEXTS)];
+}
+
+function getAvailableTaskTypes() {
+  return Object.keys(TEMPERATURE_PRESETS[DEFAULT_CONTEXT]);
+}
+
+/**
+ * Validates a context name (built-in, alias or user-defined)
+ * @returns {Object} { ok, error, availableContexts }
+ */
+function validateContext(name) {
+  if (name === undefined || name === null || isBuiltInContext(name) || hasOwn(CUSTOM_CONTEXTS, name)) return { ok: true };
+  return {
+    ok: false,
+    error: `Unknown context: ${name}. Available contexts: ${getAvailableContexts().join(', ')}`,
+    availableContexts: getAvailableContexts()
+  };
+}
+
+/**
+ * Checks the request fields that override resolved values (temperature, top_p,
+ * topK, top_k, maxOutputTokens); null and missing values are computed instead
+ * @returns {string[]} Error messages (empty when every value is valid)
+ */
+function validateOverrides(values) {
+  return Object.entries(OVERRIDE_FIELDS).flatMap(([field, { min, max, integer }]) => {
+    const value = values[field];
+    if (value === null || value === undefined) return [];
+    if (typeof value !== 'number' || !Number.isFinite(value)) return [`${field} must be a number`];
+    if (integer && !Number.isInteger(value)) return [`${field} must be an integer`];
+    if (value < min || value > max) {
+      return [max === Infinity ? `${field} must be at least ${min}` : `${field} must be between ${min} and ${max}`];
+    }
+    return [];
+  });
+}
+
+/**
+ * Lists every context/task type preset with the range the resolver can move
+ * each value through: the proficiency extremes for temperature, the preset
+ * bounds for Top P and retrieval Top K, and the valid range for max output
+ * tokens (each model caps it further)
+ * @returns {Object} { defaults, bounds, contexts: { <context>: { builtIn, basedOn, aliases,
+ *   taskTypes: { <taskType>: { temperature, topP, retrievalTopK, maxOutputTokens } } } } },
+ *   each value as { default, min, max }
+ */
+function describePresets() {
+  const pickRange = preset => ({ default: preset.default, min: preset.min, max: preset.max });
+
+  const contexts = {};
+  getAvailableContexts().forEach(context => {
+    const custom = CUSTOM_CONTEXTS[context];
+    const taskTypes = {};
+    getAvailableTaskTypes().forEach(taskType => {
+      const temperatureFor = proficiency => resolveTemperature({ context, taskType, proficiency }).value;
+      const { min, max } = PARAMETER_BOUNDS.maxOutputTokens;
+      taskTypes[taskType] = {
+        temperature: {
+          default: lookupPreset(TEMPERATURE_PRESETS, 'temperature', context, taskType).preset,
+          min: temperatureFor('beginner'),
+          max: temperatureFor('advanced')
+        },
+        topP: pickRange(lookupPreset(TOP_P_PRESETS, 'topP', context, taskType).preset),
+        retrievalTopK: pickRange(lookupPreset(TOP_K_PRESETS, 'topK', context, taskType).preset),
+        maxOutputTokens: { default: lookupMaxOutput(context, taskType) ?? DEFAULT_MAX_OUTPUT_TOKENS, min, max }
+      };
+    });
+
+    contexts[context] = {
+      builtIn: !custom,
+      basedOn: custom ? custom.basedOn : null,
+      aliases: Object.keys(CONTEXT_ALIASES).filter(alias => CONTEXT_ALIASES[alias] === context),
+      taskTypes
+    };
+  });
+
+  return {
+    defaults: {
+      context: DEFAULT_CONTEXT,
+      taskType: DEFAULT_TASK_TYPE,
+      proficiency: DEFAULT_PROFICIENCY,
+      maxOutputTokens: DEFAULT_MAX_OUTPUT_TOKENS
+    },
+    bounds: PARAMETER_BOUNDS,
+    contexts
+  };
+}
+
+/**
+ * Get appropriate temperature for a specific use case
+ * @param {string} context - The context (constitutionalEducation, academicResearch, etc.)
+ * @param {string} taskType - The type of task (debate, analysis, etc.)
+ * @param {string} proficiency - User proficiency level
+ * @param {number} customTemperature - Custom temperature override
+ * @returns {number} Appropriate temperature value
+ */
+function getOptimalTemperature(context, taskType, proficiency, customTemperature = null) {
+  return resolveTemperature({ context, taskType, proficiency, override: customTemperature }).value;
+}
+
+// Get optimal Top P value
+function getOptimalTopP(context, taskType, queryComplexity, proficiency, customTopP = null) {
+  return resolveTopP({ context, taskType, proficiency, queryComplexity, override: customTopP }).value;
+}
+
+// Get optimal Top K value
+// queryComplexity may be the analyzeQueryComplexity() result or just its complexity string
+function getOptimalTopK(context, taskType, queryComplexity, proficiency, customTopK = null) {
+  const complexity = typeof queryComplexity === 'string' ? { complexity: queryComplexity } : queryComplexity || {};
+  return resolveRetrievalTopK({ context, taskType, proficiency, queryComplexity: complexity, override: customTopK }).value;
+}
+
+module.exports = {
+  resolveGenerationConfig,
+  describePresets,
+  registerContext,
+  unregisterContext,
+  validateContext,
+  isBuiltInContext,
+  getAvailableContexts,
+  getAvailableTaskTypes,
+  analyzeQueryComplexity,
+  getOptimalTemperature,
+  getOptimalTopP,
+  getOptimalTopK,
+  validateOverrides,
+  TEMPERATURE_PRESETS,
+  TOP_P_PRESETS,
+  TOP_K_PRESETS,
+  CONTEXT_ALIASES,
+  PARAMETER_BOUNDS
+};
@@ -0,0 +1,366 @@
+/**
+ * Ingestion Service for CivicsCoach
+ *
+ * Turns raw constitutional text into corpus chunks:
+ * 1. Reads plain text, Markdown and HTML documents into heading-aware plain text
+ * 2. Splits the text into sections on Part / Article / case headings
+ * 3. Chunks each section on clause and paragraph boundaries, with overlap between chunks
+ * 4. Infers metadata (article, part, case, year, topic) from the headings
+ * 5. Assigns stable ids derived from the heading, so re-ingesting a file updates chunks in place
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_CHARS = 900;
+const DEFAULT_OVERLAP = 150;
+
+const SUPPORTED_EXTENSIONS = ['.txt', '.md', '.markdown', '.html', '.htm'];
+
+// Heading patterns, tried in order
+const PART_HEADING = /^part\s+([ivxlc]+[a-z]?)\b[\s.:—–-]*(.*)$/i;
+const ARTICLE_HEADING = /^(?:article|art\.?)\s+(\d+[a-z]?)\b[\s.:—–-]*(.*)$/i;
+// Bare-act style: "110. Definition of "Money Bills".—(1) For the purposes of ..."
+const NUMBERED_ARTICLE_HEADING = /^(\d+[a-z]?)\.\s+([A-Z][^—–]{0,150}?)\.?\s*[—–]\s*(.*)$/;
+const CASE_HEADING = /^(.+?\s+v(?:s)?\.?\s+.+?)(?:\s*[([](\d{4})[)\]])?\s*$/i;
+const YEAR_PATTERN = /\b(19[5-9]\d|20\d\d)\b/;
+
+// Clause markers at the start of a line: "(1)", "(2A)", "(a)"
+const CLAUSE_START = /^\(\s*(\d+[a-z]?|[a-z])\s*\)/i;
+
+const HTML_ENTITIES = {
+  '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&apos;': "'",
+  '&nbsp;': ' ', '&mdash;': '—', '&ndash;': '–', '&rsquo;': "'", '&lsquo;': "'", '&rdquo;': '"', '&ldquo;': '"'
+};
+
+/**
+ * Converts HTML to plain text, keeping headings as Markdown "#" lines
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, inner) => `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, '').trim()}\n\n`)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|section|article|blockquote)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&[a-z]+;|&#\d+;/gi, entity => HTML_ENTITIES[entity.toLowerCase()] ??
+      (entity.startsWith('&#') ? String.fromCharCode(parseInt(entity.slice(2), 10)) : entity));
+}
+
+/**
+ * Reads a document and returns its text with headings on their own lines
+ * @param {string} filePath - Path to a .txt, .md or .html file
+ * @returns {string} Normalized text
+ */
+function readDocument(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported file type: ${extension}. Supported types: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+  }
+
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const text = extension === '.html' || extension === '.htm' ? htmlToText(raw) : raw;
+
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Classifies a line as a Part, Article or case heading
+ * @param {string} line - A single line of text
+ * @param {boolean} isMarkdownHeading - True when the line was marked with "#"
+ * @returns {Object|null} { type, value, title, year, rest } or null when the line is body text.
+ *   rest holds body text that followed the heading on the same line.
+ */
+function parseHeading(line, isMarkdownHeading = false) {
+  let match = line.match(PART_HEADING);
+  if (match) return { type: 'part', value: match[1].toUpperCase(), title: match[2].trim() };
+
+  match = line.match(ARTICLE_HEADING);
+  // Outside Markdown headings, only short capitalised lines count ("Article 14 Equality before law"),
+  // so prose like "Article 110 of the Constitution defines ..." stays body text
+  if (match && (isMarkdownHeading || (line.length < 120 && (!match[2] || /^[A-Z]/.test(match[2]))))) {
+    return { type: 'article', value: match[1].toUpperCase(), title: match[2].trim() };
+  }
+
+  match = line.match(NUMBERED_ARTICLE_HEADING);
+  if (match) {
+    return { type: 'article', value: match[1].toUpperCase(), title: match[2].trim(), rest: match[3].trim() };
+  }
+
+  if (isMarkdownHeading) {
+    match = line.match(CASE_HEADING);
+    if (match) {
+      const yearMatch = match[2] || (line.match(YEAR_PATTERN) || [])[1];
+      return { type: 'case', value: match[1].trim(), title: match[1].trim(), year: yearMatch };
+    }
+
+    const yearMatch = line.match(YEAR_PATTERN);
+    return { type: 'title', value: line, title: line, year: yearMatch ? yearMatch[1] : undefined };
+  }
+
+  return null;
+}
+
+/**
+ * Splits document text into sections, each carrying the headings in force
+ * @param {string} text - Normalized document text
+ * @returns {Array} Sections ({ heading, metadata, paragraphs })
+ */
+function splitIntoSections(text) {
+  const sections = [];
+  const context = { part: undefined, partTitle: undefined, document: undefined };
+  let current = null;
+
+  const startSection = (heading, metadata) => {
+    current = { heading, metadata, paragraphs: [] };
+    sections.push(current);
+  };
+
+  text.split('\n\n').forEach(block => {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    let body = [];
+
+    lines.forEach(line => {
+      const markdown = line.match(/^#{1,6}\s+(.*)$/);
+      const heading = parseHeading(markdown ? markdown[1].trim() : line, Boolean(markdown));
+
+      if (!heading) {
+        body.push(line);
+        return;
+      }
+
+      if (body.length > 0) {
+        if (!current) startSection(context.document?.title, {});
+        current.paragraphs.push(body.join('\n'));
+        body = [];
+      }
+
+      switch (heading.type) {
+        case 'part':
+          context.part = heading.value;
+          context.partTitle = heading.title;
+          current = null;
+          break;
+        case 'article':
+          startSection(`Article ${heading.value}${heading.title ? ` - ${heading.title}` : ''}`, {
+            article: heading.value,
+            part: context.part,
+            topic: heading.title || context.partTitle
+          });
+          if (heading.rest) body.push(heading.rest);
+          break;
+        case 'case':
+          context.document = heading;
+          startSection(heading.title, { case: heading.value, year: heading.year, topic: heading.title });
+          break;
+        default:
+          context.document = heading;
+          startSection(heading.title, { year: heading.year, topic: heading.title });
+      }
+    });
+
+    if (body.length > 0) {
+      if (!current) startSection(context.document?.title, {});
+      current.paragraphs.push(body.join('\n'));
+    }
+  });
+
+  return sections.filter(section => section.paragraphs.length > 0);
+}
+
+/**
+ * Breaks a paragraph into clause-sized units so chunk boundaries fall between clauses
+ */
+function splitClauses(paragraph) {
+  const units = [];
+  paragraph.split('\n').forEach(line => {
+    if (units.length === 0 || CLAUSE_START.test(line)) {
+      units.push(line);
+    } else {
+      units[units.length - 1] += ` ${line}`;
+    }
+  });
+  return units;
+}
+
+/**
+ * Returns the trailing `size` characters of a chunk, starting on a word boundary
+ */
+function overlapTail(text, size) {
+  // Never carry more than half a chunk, so short chunks are not repeated wholesale
+  const length = Math.min(size, Math.floor(text.length / 2));
+  if (length <= 0) return '';
+  const tail = text.slice(-length);
+  const firstSpace = tail.indexOf(' ');
+  return firstSpace === -1 ? tail : tail.slice(firstSpace + 1);
+}
+
+/**
+ * Packs clause/paragraph units into chunks of at most maxChars, carrying
+ * `overlap` characters of context from each chunk into the next
+ * @param {string[]} paragraphs - Section paragraphs
+ * @param {Object} options - { maxChars, overlap }
+ * @returns {string[]} Chunk texts
+ */
+function chunkParagraphs(paragraphs, { maxChars = DEFAULT_MAX_CHARS, overlap = DEFAULT_OVERLAP } = {}) {
+  // Keep the overlap well under the chunk size so every split makes progress
+  overlap = Math.min(overlap, Math.floor(maxChars / 4));
+  const units = paragraphs.flatMap(splitClauses);
+  const chunks = [];
+  let current = '';
+
+  units.forEach(unit => {
+    if (current && current.length + unit.length + 1 > maxChars) {
+      chunks.push(current);
+      current = overlapTail(current, overlap);
+    }
+    current = current ? `${current} ${unit}` : unit;
+
+    // A single oversized clause is split on sentence boundaries
+    while (current.length > maxChars) {
+      const cut = current.lastIndexOf('. ', maxChars);
+      const splitAt = cut > maxChars / 2 ? cut + 1 : maxChars;
+      chunks.push(current.slice(0, splitAt).trim());
+      current = `${overlapTail(current.slice(0, splitAt), overlap)} ${current.slice(splitAt).trim()}`.trim();
+    }
+  });
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Turns a heading into an id-safe slug
+ */
+function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/\bv(?:s)?\.?\s/g, 'v ')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 60);
+}
+
+/**
+ * Builds a stable chunk id from the section metadata: article110, article21a_2,
+ * kesavananda_bharati_v_state_of_kerala_1973 ...
+ */
+function buildChunkId(metadata, heading, index, total) {
+  let base;
+  if (metadata.article) {
+    base = `article${metadata.article.toLowerCase()}`;
+  } else if (metadata.case) {
+    base = slugify(`${metadata.case}${metadata.year ? ` ${metadata.year}` : ''}`);
+  } else {
+    base = slugify(heading || 'untitled');
+  }
+  return total > 1 ? `${base}_${index + 1}` : base;
+}
+
+/**
+ * Removes undefined and empty metadata fields
+ */
+function compactMetadata(metadata) {
+  return Object.fromEntries(
+    Object.entries(metadata).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+}
+
+/**
+ * Ingests a single document into corpus chunks
+ * @param {string} filePath - Path to the document
+ * @param {Object} options - Ingestion options
+ * @param {string} options.source - Source label (default: inferred; "Supreme Court Judgment" for cases)
+ * @param {string} options.topic - Topic override for every chunk
+ * @param {number} options.maxChars - Maximum chunk length (default: 900)
+ * @param {number} options.overlap - Characters carried between consecutive chunks (default: 150)
+ * @returns {Array} Corpus chunks ({id, text, metadata})
+ */
+function ingestDocument(filePath, options = {}) {
+  const sections = splitIntoSections(readDocument(filePath));
+  const chunks = [];
+
+  sections.forEach(section => {
+    const texts = chunkParagraphs(section.paragraphs, options);
+    const source = options.source || (section.metadata.case ? 'Supreme Court Judgment' : 'Constitution of India');
+
+    texts.forEach((text, index) => {
+      const metadata = compactMetadata({
+        source,
+        ...section.metadata,
+        topic: options.topic || section.metadata.topic
+      });
+      // Prefix the heading so each chunk stays self-describing for retrieval
+      const prefix = section.heading && !text.startsWith(section.heading) ? `${section.heading}: ` : '';
+
+      chunks.push({
+        id: buildChunkId(metadata, section.heading || path.basename(filePath, path.extname(filePath)), index, texts.length),
+        text: `${prefix}${text}`,
+        metadata
+      });
+    });
+  });
+
+  // Disambiguate ids that collide across sections (e.g. two untitled sections)
+  const seen = new Map();
+  chunks.forEach(chunk => {
+    const count = seen.get(chunk.id) || 0;
+    seen.set(chunk.id, count + 1);
+    if (count > 0) chunk.id = `${chunk.id}_${count + 1}`;
+  });
+
+  return chunks;
+}
+
+/**
+ * Merges ingested chunks into an existing corpus. Chunks with a known id replace
+ * the existing entry in place; new ids are appended.
+ * @param {Array} existingCorpus - Current corpus chunks
+ * @param {Array} incoming - Newly ingested chunks
+ * @returns {Object} { corpus, added, updated, unchanged }
+ */
+function mergeChunks(existingCorpus, incoming) {
+  const corpus = existingCorpus.map(chunk => ({ ...chunk }));
+  const positions = new Map(corpus.map((chunk, i) => [chunk.id, i]));
+  const added = [];
+  const updated = [];
+  const unchanged = [];
+
+  incoming.forEach(chunk => {
+    if (!positions.has(chunk.id)) {
+      positions.set(chunk.id, corpus.length);
+      corpus.push(chunk);
+      added.push(chunk);
+      return;
+    }
+
+    const position = positions.get(chunk.id);
+    const previous = corpus[position];
+    if (previous.text === chunk.text && JSON.stringify(previous.metadata) === JSON.stringify(chunk.metadata)) {
+      unchanged.push(chunk);
+    } else {
+      corpus[position] = chunk;
+      updated.push({ before: previous, after: chunk });
+    }
+  });
+
+  return { corpus, added, updated, unchanged };
+}
+
+module.exports = {
+  readDocument,
+  htmlToText,
+  parseHeading,
+  splitIntoSections,
+  chunkParagraphs,
+  buildChunkId,
+  ingestDocument,
+  mergeChunks,
+  SUPPORTED_EXTENSIONS,
+  DEFAULT_MAX_CHARS,
+  DEFAULT_OVERLAP
+};
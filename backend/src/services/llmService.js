@@ -0,0 +1,121 @@
+/**
+ * LLM Provider Service for CivicsCoach
+ *
+ * Pluggable text-generation backends used by callGemini. Every provider exposes
+ * the same interface:
+ *
+ *   {
+ *     name: string,                        // provider identifier
+ *     model: string,                       // model the provider calls
+ *     structuredOutput: 'schema' | 'json' | null,  // native JSON output support (optional)
+ *     generate(messages, config): Promise<{ text, usage, raw, model }>,
+ *     generateStream(messages, config, onText): Promise<{ text, usage, raw, model }>  // optional
+ *   }
+ *
+ * messages are { role: 'system' | 'user' | 'assistant', content } and config is
+ * { temperature, topP, topK, maxOutputTokens, stopSequences, outputMode,
+ * responseSchema, query, taskType }; each provider maps config onto its own API
+ * and ignores fields it does not support (query and taskType are hints for the
+ * mock provider). outputMode 'schema' asks for JSON matching responseSchema (a
+ * task schema from utils/taskSchemas.js), 'json' for any JSON object and 'text'
+ * for free text; callGemini only sends modes the provider declares. usage is
+ * { input, output, total } tokens, or null when the backend does not report it.
+ * generateStream calls onText(piece) with each piece of text as it arrives and
+ * resolves with the same result as generate once the response is complete.
+ *
+ * Built-in providers: 'gemini' (default), 'openai' (also llama.cpp / Ollama via
+ * OPENAI_BASE_URL) and 'mock' (offline, built from the corpus). Select one with
+ * LLM_PROVIDER or per request.
+ */
+
+const { createGeminiProvider } = require('./providers/geminiProvider');
+const { createOpenAIProvider } = require('./providers/openaiProvider');
+const { createMockProvider } = require('./providers/mockProvider');
+const { withCassette } = require('./cassetteService');
+const { withResilience } = require('./resilienceService');
+
+const DEFAULT_PROVIDER = 'gemini';
+const DEFAULT_FALLBACK_PROVIDER = 'mock';
+
+// Registered provider factories, keyed by name
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+const isRegistered = name => Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+
+// Providers are created once and reused (the OpenAI client keeps its connection pool)
+const instances = new Map();
+
+/**
+ * Lists the names of the registered providers
+ */
+function getAvailableProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Checks that a provider name is registered
+ * @returns {Object} { ok: true } or { ok: false, error, availableProviders }
+ */
+function validateProvider(name) {
+  if (name === undefined || name === null || isRegistered(name)) {
+    return { ok: true };
+  }
+  return {
+    ok: false,
+    error: `Unknown LLM provider: ${name}. Available providers: ${getAvailableProviders().join(', ')}`,
+    availableProviders: getAvailableProviders()
+  };
+}
+
+/**
+ * Returns the name of the provider used when a request does not pick one
+ */
+function getDefaultProvider() {
+  return process.env.LLM_PROVIDER || DEFAULT_PROVIDER;
+}
+
+/**
+ * Returns the provider that serves degraded responses when the requested one is
+ * unavailable (LLM_FALLBACK_PROVIDER, default 'mock'; 'none' disables fallback)
+ * @returns {string|null} Provider name, or null when fallback is disabled
+ */
+function getFallbackProvider() {
+  const name = process.env.LLM_FALLBACK_PROVIDER || DEFAULT_FALLBACK_PROVIDER;
+  if (name === 'none') return null;
+  if (!isRegistered(name)) {
+    throw new Error(`Unknown LLM fallback provider: ${name}. Available providers: ${getAvailableProviders().join(', ')}, none`);
+  }
+  return name;
+}
+
+/**
+ * Returns a provider by name, creating it on first use. Each instance is
+ * wrapped with retries, timeouts and a circuit breaker (resilienceService);
+ * when LLM_CASSETTE_MODE is record or replay, the cassette layer goes on top,
+ * so replays never touch the breaker.
+ * @param {string} name - Provider name (default: LLM_PROVIDER env or 'gemini')
+ * @returns {Object} Provider
+ */
+function getProvider(name = getDefaultProvider()) {
+  if (!isRegistered(name)) {
+    throw new Error(`Unknown LLM provider: ${name}. Available providers: ${getAvailableProviders().join(', ')}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, withResilience(PROVIDERS[name]()));
+  }
+  return withCassette(instances.get(name));
+}
+
+module.exports = {
+  getProvider,
+  getAvailableProviders,
+  validateProvider,
+  getDefaultProvider,
+  getFallbackProvider,
+  DEFAULT_PROVIDER,
+  DEFAULT_FALLBACK_PROVIDER
+};
@@ -0,0 +1,119 @@
+/**
+ * Output Repair Service for CivicsCoach
+ *
+ * Turns raw model text into schema-valid task output:
+ * 1. Parses the text, falling back to local repairs (fences, trailing commas, truncation)
+ * 2. Validates the result against the task's JSON Schema
+ * 3. On failure, sends the errors and the broken output back to the model with a
+ *    "fix this JSON" instruction, up to a bounded number of attempts
+ */
+
+const { safeParseJSONMaybe, validateAgainstSchema } = require('../utils/jsonValidator');
+const { repairJSONLocally } = require('../utils/jsonRepair');
+const { TASK_SCHEMAS } = require('../utils/taskSchemas');
+const { envInt } = require('../utils/env');
+
+// 0 turns model repairs off
+const DEFAULT_MAX_REPAIR_ATTEMPTS = envInt('JSON_REPAIR_MAX_ATTEMPTS', 2);
+
+// Keeps repair prompts bounded when the model returned something huge
+const MAX_BROKEN_OUTPUT_CHARS = 6000;
+
+/**
+ * Parses and validates one model output, applying local repairs if plain parsing fails
+ * @param {Object|undefined} schema - JSON Schema to validate against; output is only parsed without one
+ * @returns {Object} { ok, data, localRepairs, stage: 'parse' | 'schema', errors }
+ */
+function checkOutput(text, schema) {
+  let parsed = safeParseJSONMaybe(text || '');
+  let localRepairs = [];
+
+  if (!parsed.ok) {
+    const repaired = repairJSONLocally(text);
+    localRepairs = repaired.repairs;
+    if (!repaired.ok) {
+      return { ok: false, stage: 'parse', errors: [{ path: '', message: parsed.error }], localRepairs };
+    }
+    parsed = repaired;
+  }
+
+  const errors = schema ? validateAgainstSchema(parsed.data, schema) : [];
+  if (errors.length > 0) {
+    return { ok: false, stage: 'schema', data: parsed.data, errors, localRepairs };
+  }
+
+  return { ok: true, data: parsed.data, errors: [], localRepairs };
+}
+
+/**
+ * Builds the "fix this JSON" conversation for a failed output
+ * @param {Object} schema - Schema shown to the model; defaults to the task type's
+ */
+function buildRepairMessages(text, check, taskType, schema = TASK_SCHEMAS[taskType]) {
+  const problems = check.errors.map(error => `- ${error.path || '(root)'}: ${error.message}`).join('\n');
+  const broken = String(text || '').slice(0, MAX_BROKEN_OUTPUT_CHARS);
+
+  return [
+    {
+      role: 'system',
+      content: 'You repair malformed JSON. Return ONLY the corrected JSON object - no markdown fences, no commentary. Keep the original content wherever it is valid; change only what is needed to fix the listed problems.'
+    },
+    {
+      role: 'user',
+      content: `Fix this JSON.
+
+PROBLEMS (${check.stage === 'parse' ? 'the output is not valid JSON' : 'the output does not match the schema'}):
+${problems}
+${schema ? `\nREQUIRED SCHEMA:\n${JSON.stringify(schema)}\n` : ''}
+BROKEN OUTPUT:
+${broken}`
+    }
+  ];
+}
+
+/**
+ * Parses model output into valid task output, asking the model to repair it when needed
+ * @param {string} text - Raw model output
+ * @param {Object} options
+ * @param {string} options.taskType - Schema to validate against (see taskSchemas.js)
+ * @param {Object} options.schema - Schema to use instead of the task type's, e.g. with a strategy's extra required fields
+ * @param {Function} options.requestRepair - async (messages) => { text }; usually a callGemini wrapper
+ * @param {number} options.maxAttempts - Model repair attempts before giving up
+ * @returns {Promise<Object>} { ok, data, repairAttempts, localRepairs, stage, errors, rawResponse }
+ */
+async function parseWithRepair(text, { taskType = 'debate', schema = TASK_SCHEMAS[taskType], requestRepair, maxAttempts = DEFAULT_MAX_REPAIR_ATTEMPTS } = {}) {
+  let currentText = text;
+  let check = checkOutput(currentText, schema);
+  let repairAttempts = 0;
+  const localRepairs = [...check.localRepairs];
+
+  while (!check.ok && requestRepair && repairAttempts < maxAttempts) {
+    repairAttempts++;
+    console.log(`🔧 Repair attempt ${repairAttempts}/${maxAttempts} (${check.stage}: ${check.errors.length} problem${check.errors.length === 1 ? '' : 's'})`);
+
+    const repairResp = await requestRepair(buildRepairMessages(currentText, check, taskType, schema));
+    currentText = repairResp.text;
+    check = checkOutput(currentText, schema);
+    localRepairs.push(...check.localRepairs);
+  }
+
+  if (check.ok && repairAttempts > 0) {
+    console.log(`✅ Output repaired after ${repairAttempts} attempt${repairAttempts === 1 ? '' : 's'}`);
+  }
+
+  return {
+    ok: check.ok,
+    data: check.data,
+    stage: check.ok ? null : check.stage,
+    errors: check.errors,
+    repairAttempts,
+    localRepairs,
+    rawResponse: currentText
+  };
+}
+
+module.exports = {
+  parseWithRepair,
+  buildRepairMessages,
+  DEFAULT_MAX_REPAIR_ATTEMPTS
+};
@@ -0,0 +1,209 @@
+/**
+ * Sampling Preset Service for CivicsCoach
+ *
+ * Stores user-defined presets that requests select with `context: "<name>"`:
+ *   { name, description, basedOn, taskTypes: { <taskType>: { temperature, topP, topK,
+ *     maxOutputTokens } }, createdAt, updatedAt }
+ *
+ * topK is the number of chunks retrieved, as in the built-in Top K presets.
+ * topP and topK take a number, which pins the value, or { min, max, default },
+ * which lets the query complexity and proficiency adjustments move it. Task
+ * types and values a preset leaves out come from its basedOn context (default
+ * constitutionalEducation).
+ *
+ * Presets are kept in PRESETS_FILE (default data/presets.json) and registered
+ * with generationConfigService as contexts when loaded or saved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  registerContext,
+  unregisterContext,
+  isBuiltInContext,
+  getAvailableTaskTypes,
+  PARAMETER_BOUNDS
+} = require('./generationConfigService');
+
+const DEFAULT_PRESETS_FILE = path.join(__dirname, '../../data/presets.json');
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+// Preset fields and the bounds each is checked against
+const PRESET_FIELDS = {
+  temperature: { bounds: PARAMETER_BOUNDS.temperature, integer: false, ranged: false },
+  topP: { bounds: PARAMETER_BOUNDS.topP, integer: false, ranged: true },
+  topK: { bounds: PARAMETER_BOUNDS.retrievalTopK, integer: true, ranged: true },
+  maxOutputTokens: { bounds: PARAMETER_BOUNDS.maxOutputTokens, integer: true, ranged: false }
+};
+
+function getPresetsFile() {
+  return process.env.PRESETS_FILE || DEFAULT_PRESETS_FILE;
+}
+
+// Presets by name, loaded from the presets file on first use
+let presets;
+
+/**
+ * Loads the presets file and registers every valid preset as a context
+ * @returns {Object[]} Loaded presets
+ */
+function loadPresets() {
+  if (presets) return Object.values(presets);
+  presets = {};
+  const file = getPresetsFile();
+  if (!fs.existsSync(file)) return [];
+
+  let stored;
+  try {
+    stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(stored)) throw new Error('expected a list of presets');
+  } catch (err) {
+    console.warn(`⚠️ Ignoring unreadable presets file ${file}: ${err.message}`);
+    return [];
+  }
+
+  stored.forEach(preset => {
+    const errors = validatePreset(preset);
+    if (errors.length > 0) {
+      console.warn(`⚠️ Skipping invalid preset ${preset && preset.name}: ${errors.join('; ')}`);
+      return;
+    }
+    presets[preset.name] = preset;
+    registerContext(preset);
+  });
+  return Object.values(presets);
+}
+
+function writePresets() {
+  const file = getPresetsFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(Object.values(presets), null, 2)}\n`);
+}
+
+/**
+ * Checks one preset value against its field's bounds
+ * @returns {string[]} Error messages
+ */
+function validateValue(label, value, { bounds, integer, ranged }) {
+  const checkNumber = (fieldLabel, number) => {
+    if (typeof number !== 'number' || !Number.isFinite(number)) return [`${fieldLabel} must be a number`];
+    if (integer && !Number.isInteger(number)) return [`${fieldLabel} must be an integer`];
+    if (number < bounds.min || number > bounds.max) return [`${fieldLabel} must be between ${bounds.min} and ${bounds.max}`];
+    return [];
+  };
+
+  if (!ranged || typeof value !== 'object' || value === null) return checkNumber(label, value);
+
+  const errors = ['min', 'max', 'default'].flatMap(key => checkNumber(`${label}.${key}`, value[key]));
+  if (errors.length === 0 && !(value.min <= value.default && value.default <= value.max)) {
+    errors.push(`${label} must satisfy min <= default <= max`);
+  }
+  return errors;
+}
+
+/**
+ * Validates a preset's shape and values
+ * @param {Object} preset - { name, description, basedOn, taskTypes }
+ * @returns {string[]} Error messages (empty when the preset is valid)
+ */
+function validatePreset(preset) {
+  const errors = [];
+
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    return ['preset must be an object'];
+  }
+
+  if (typeof preset.name !== 'string' || !NAME_PATTERN.test(preset.name)) {
+    errors.push('name must be 1-64 letters, digits, "_" or "-", starting with a letter or digit');
+  } else if (isBuiltInContext(preset.name)) {
+    errors.push(`name "${preset.name}" is a built-in context`);
+  }
+
+  if (preset.description !== undefined && typeof preset.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (preset.basedOn !== undefined && preset.basedOn !== null && !isBuiltInContext(preset.basedOn)) {
+    errors.push(`basedOn must be a built-in context, got "${preset.basedOn}"`);
+  }
+
+  const { taskTypes } = preset;
+  if (!taskTypes || typeof taskTypes !== 'object' || Array.isArray(taskTypes) || Object.keys(taskTypes).length === 0) {
+    errors.push(`taskTypes must be an object with at least one of: ${getAvailableTaskTypes().join(', ')}`);
+    return errors;
+  }
+
+  Object.entries(taskTypes).forEach(([taskType, values]) => {
+    if (!getAvailableTaskTypes().includes(taskType)) {
+      errors.push(`Unknown task type: ${taskType}. Available task types: ${getAvailableTaskTypes().join(', ')}`);
+      return;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`taskTypes.${taskType} must be an object`);
+      return;
+    }
+    Object.entries(values).forEach(([field, value]) => {
+      if (!PRESET_FIELDS[field]) {
+        errors.push(`Unknown field taskTypes.${taskType}.${field}. Available fields: ${Object.keys(PRESET_FIELDS).join(', ')}`);
+        return;
+      }
+      errors.push(...validateValue(`taskTypes.${taskType}.${field}`, value, PRESET_FIELDS[field]));
+    });
+  });
+
+  return errors;
+}
+
+function listPresets() {
+  return loadPresets();
+}
+
+function findPreset(name) {
+  loadPresets();
+  return Object.prototype.hasOwnProperty.call(presets, name) ? presets[name] : null;
+}
+
+/**
+ * Creates or replaces a preset and registers it as a context; call
+ * validatePreset first
+ * @returns {Object} The stored preset
+ */
+function savePreset({ name, description, basedOn, taskTypes }) {
+  const now = new Date().toISOString();
+  const existing = findPreset(name);
+  const preset = {
+    name,
+    description: description || '',
+    basedOn: basedOn || null,
+    taskTypes,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  presets[name] = preset;
+  writePresets();
+  registerContext(preset);
+  return preset;
+}
+
+/**
+ * Deletes a preset
+ * @returns {boolean} Whether the preset existed
+ */
+function removePreset(name) {
+  if (!findPreset(name)) return false;
+  delete presets[name];
+  writePresets();
+  unregisterContext(name);
+  return true;
+}
+
+module.exports = {
+  loadPresets,
+  listPresets,
+  findPreset,
+  savePreset,
+  removePreset,
+  validatePreset,
+  DEFAULT_PRESETS_FILE
+};
@@ -0,0 +1,290 @@
+/**
+ * Prompt Strategy Service for CivicsCoach
+ *
+ * Prompting strategies /api/debate/generate dispatches to, selected with the
+ * request's strategy field. Every strategy exposes the same interface:
+ *
+ *   {
+ *     description: string,
+ *     taskTypes: string[] | null,          // output task types it writes; null: always a debate
+ *     specializations: string[],           // accepted values of the specialization field (optional)
+ *     buildPrompt(request, retrievedChunks): { messages, metadata, taskType },
+ *     requiredFields(taskType): string[],  // output fields the engine needs beyond the task schema (optional)
+ *     validateResponse(data, taskType): { isValid, error }  // engine's own output check (optional)
+ *   }
+ *
+ * request is { query, proficiency, taskType, context, useCoT, additionalContext,
+ * previousResponses, specialization }. taskType in the result is the output
+ * task type, which picks the JSON schema the response is validated against;
+ * requiredFields extends that schema's required list (see outputSchemaFor).
+ *
+ * Built-in strategies wrap the engines in src/prompts: chain-of-thought,
+ * zero-shot, dynamic, multi-shot, one-shot and rtfc.
+ */
+
+const { buildChainMessages } = require('../prompts/chainOfThoughtPrompt');
+const { ZeroShotPromptEngine } = require('../prompts/zeroShotPrompt');
+const { DynamicPromptEngine } = require('../prompts/dynamicPrompt');
+const { MultiShotPromptEngine } = require('../prompts/multiShotPrompt');
+const OneShotPromptEngine = require('../prompts/oneShotPrompt');
+const RTFCPromptEngine = require('../prompts/rtfcPrompt');
+const { TASK_SCHEMAS } = require('../utils/taskSchemas');
+
+const zeroShotPromptEngine = new ZeroShotPromptEngine();
+const dynamicPromptEngine = new DynamicPromptEngine();
+const multiShotPromptEngine = new MultiShotPromptEngine();
+const oneShotPromptEngine = new OneShotPromptEngine();
+const rtfcPromptEngine = new RTFCPromptEngine();
+
+/**
+ * Appends the request's additional context as its own user message
+ */
+function withAdditionalContext(messages, additionalContext) {
+  if (!additionalContext) return messages;
+  return [...messages, { role: 'user', content: `ADDITIONAL CONTEXT: ${additionalContext}` }];
+}
+
+// Registered strategies, keyed by name
+const STRATEGIES = {
+  'chain-of-thought': {
+    description: 'Chain-of-thought debate prompt with worked examples',
+    taskTypes: null,
+    buildPrompt({ query, proficiency, useCoT }, retrievedChunks) {
+      return {
+        messages: buildChainMessages({
+          audience: proficiency,
+          topic: query,
+          retrievedChunks,
+          minCitations: 2,
+          proficiency,
+          examples: true
+        }),
+        metadata: {
+          examples: true,
+          reasoning: useCoT ? 'enabled' : 'disabled'
+        },
+        taskType: 'debate'
+      };
+    }
+  },
+
+  'zero-shot': {
+    description: 'Task instructions without examples',
+    taskTypes: Object.keys(zeroShotPromptEngine.taskDefinitions),
+    buildPrompt({ query, proficiency, taskType, additionalContext }, retrievedChunks) {
+      const prompt = zeroShotPromptEngine.generateZeroShotPrompt(taskType, query, proficiency, retrievedChunks, { additionalContext });
+      return {
+        messages: prompt.messages,
+        metadata: {
+          taskType: prompt.metadata.taskType,
+          taskDescription: prompt.metadata.taskDescription,
+          outputFormat: prompt.metadata.outputFormat,
+          constraints: prompt.metadata.constraints,
+          zeroShotFeatures: prompt.metadata.zeroShotFeatures
+        },
+        taskType: prompt.metadata.taskType
+      };
+    }
+  },
+
+  dynamic: {
+    description: 'Debate prompt adapted to the query complexity and previous responses',
+    taskTypes: null,
+    buildPrompt({ query, proficiency, previousResponses }, retrievedChunks) {
+      const prompt = dynamicPromptEngine.generateDynamicPrompt(query, proficiency, retrievedChunks, { previousResponses });
+      return { messages: prompt.messages, metadata: prompt.metadata, taskType: 'debate' };
+    }
+  },
+
+  'multi-shot': {
+    description: 'Several worked examples chosen for the proficiency level',
+    taskTypes: Object.keys(multiShotPromptEngine.taskDefinitions),
+    buildPrompt({ query, proficiency, taskType, additionalContext }, retrievedChunks) {
+      const prompt = multiShotPromptEngine.generateMultiShotPrompt(taskType, query, proficiency, retrievedChunks, { additionalContext });
+      return { messages: prompt.messages, metadata: prompt.metadata, taskType };
+    }
+  },
+
+  'one-shot': {
+    description: 'A single worked example of the output format',
+    taskTypes: Object.keys(oneShotPromptEngine.examples),
+    buildPrompt({ query, proficiency, taskType, additionalContext }, retrievedChunks) {
+      const messages = oneShotPromptEngine.generatePrompt(taskType, { topic: query, proficiency, retrievedChunks });
+      return {
+        messages: withAdditionalContext(messages, additionalContext),
+        metadata: {
+          taskType,
+          exampleTopic: oneShotPromptEngine.getExample(taskType).topic
+        },
+        taskType
+      };
+    },
+    requiredFields: taskType => Object.keys(oneShotPromptEngine.getExample(taskType).example),
+    validateResponse: (data, taskType) => oneShotPromptEngine.validateResponse(data, taskType)
+  },
+
+  rtfc: {
+    description: 'Role, task, format, context and constraints sections',
+    taskTypes: Object.keys(rtfcPromptEngine.formatDefinitions),
+    specializations: ['academic', 'beginner', 'policy'],
+    buildPrompt({ query, proficiency, taskType, context, additionalContext, specialization }, retrievedChunks) {
+      const parameters = { topic: query, proficiency, retrievedChunks, context };
+      const messages = specialization
+        ? rtfcPromptEngine.generateSpecializedPrompt(taskType, parameters, specialization)
+        : rtfcPromptEngine.generateRTFCPrompt(taskType, parameters);
+      return {
+        messages: withAdditionalContext(messages, additionalContext),
+        metadata: {
+          taskType,
+          // Contexts without an RTFC template use the constitutionalEducation one
+          rtfcContext: rtfcPromptEngine.contextTemplates[context] ? context : 'constitutionalEducation',
+          specialization: specialization || null
+        },
+        taskType
+      };
+    },
+    requiredFields: taskType => Object.keys(rtfcPromptEngine.formatDefinitions[taskType].fields),
+    validateResponse: (data, taskType) => rtfcPromptEngine.validateResponse(data, taskType)
+  }
+};
+
+const isRegistered = name => Object.prototype.hasOwnProperty.call(STRATEGIES, name);
+
+/**
+ * Lists the names of the registered strategies
+ */
+function getAvailableStrategies() {
+  return Object.keys(STRATEGIES);
+}
+
+/**
+ * Returns a registered strategy by name
+ */
+function getStrategy(name) {
+  if (!isRegistered(name)) {
+    throw new Error(`Unknown prompting strategy: ${name}. Available strategies: ${getAvailableStrategies().join(', ')}`);
+  }
+  return STRATEGIES[name];
+}
+
+/**
+ * The strategy a request uses: its strategy field, or else the legacy
+ * useZeroShot / useDynamicPrompting flags
+ */
+function strategyForRequest({ strategy, useZeroShot, useDynamicPrompting }) {
+  if (strategy) return strategy;
+  if (useZeroShot) return 'zero-shot';
+  return useDynamicPrompting !== false ? 'dynamic' : 'chain-of-thought';
+}
+
+/**
+ * Checks that a strategy is registered
+ * @returns {Object} { ok: true } or { ok: false, error, availableStrategies }
+ */
+function validateStrategy(name) {
+  if (isRegistered(name)) {
+    return { ok: true };
+  }
+  return {
+    ok: false,
+    error: `Unknown prompting strategy: ${name}. Available strategies: ${getAvailableStrategies().join(', ')}`,
+    availableStrategies: getAvailableStrategies()
+  };
+}
+
+/**
+ * The output task types a registered strategy writes
+ */
+function taskTypesOf(name) {
+  return getStrategy(name).taskTypes || ['debate'];
+}
+
+/**
+ * Checks that a registered strategy supports the requested task type and specialization
+ * @returns {Object} { ok: true } or { ok: false, error, availableTaskTypes | availableSpecializations }
+ */
+function validateStrategyOptions(name, { taskType, specialization }) {
+  const { specializations = [] } = getStrategy(name);
+  const taskTypes = taskTypesOf(name);
+
+  if (!taskTypes.includes(taskType)) {
+    return {
+      ok: false,
+      error: `Task type ${taskType} is not supported by the ${name} strategy. Available task types: ${taskTypes.join(', ')}`,
+      availableTaskTypes: taskTypes
+    };
+  }
+
+  if (specialization !== undefined && specialization !== null && !specializations.includes(specialization)) {
+    return {
+      ok: false,
+      error: specializations.length > 0
+        ? `Unknown specialization: ${specialization}. Available specializations for ${name}: ${specializations.join(', ')}`
+        : `The ${name} strategy does not take a specialization`,
+      availableSpecializations: specializations
+    };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Builds the prompt for a request with its strategy
+ * @returns {Object} { messages, metadata, taskType: the output task type }
+ */
+function buildPrompt(name, request, retrievedChunks) {
+  return getStrategy(name).buildPrompt(request, retrievedChunks);
+}
+
+/**
+ * The JSON Schema a strategy's output is requested and validated with: the task
+ * schema, with the strategy's required fields added to its required list
+ * @returns {Object|undefined} undefined for task types without a schema
+ */
+function outputSchemaFor(name, taskType) {
+  const schema = TASK_SCHEMAS[taskType];
+  const { requiredFields } = getStrategy(name);
+  if (!schema || !requiredFields) return schema;
+
+  const required = [...new Set([...(schema.required || []), ...requiredFields(taskType)])];
+  return { ...schema, required };
+}
+
+/**
+ * Runs the strategy's own output check on schema-valid output
+ * @returns {Object|null} { isValid, error }, or null when the strategy has no check
+ */
+function validateStrategyResponse(name, data, taskType) {
+  const { validateResponse } = getStrategy(name);
+  if (!validateResponse) return null;
+  const { isValid, error = null } = validateResponse(data, taskType);
+  return { isValid, error };
+}
+
+/**
+ * Describes the registered strategies for GET /api/debate/strategies
+ */
+function describeStrategies() {
+  return getAvailableStrategies().map(name => {
+    const { description, specializations = [], validateResponse } = getStrategy(name);
+    return {
+      name,
+      description: description || '',
+      taskTypes: taskTypesOf(name),
+      specializations,
+      validatesResponse: Boolean(validateResponse)
+    };
+  });
+}
+
+module.exports = {
+  getAvailableStrategies,
+  getStrategy,
+  strategyForRequest,
+  validateStrategy,
+  validateStrategyOptions,
+  buildPrompt,
+  outputSchemaFor,
+  validateStrategyResponse,
+  describeStrategies
+};
@@ -0,0 +1,202 @@
+/**
+ * Google Gemini provider (generateContent / streamGenerateContent REST API)
+ */
+
+const axios = require('axios');
+const { toResponseSchema } = require('../../utils/taskSchemas');
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Schema keywords Gemini's responseSchema accepts
+const RESPONSE_SCHEMA_OPTIONS = {
+  keywords: ['type', 'properties', 'required', 'items', 'minItems', 'enum', 'description'],
+  upperCaseTypes: true,
+  propertyOrdering: true
+};
+
+/**
+ * Creates the Gemini provider
+ * @param {Object} options
+ * @param {string} options.apiKey - API key (default: GEMINI_API_KEY)
+ * @param {string} options.model - Model name (default: GEMINI_MODEL or gemini-1.5-flash)
+ * @returns {Object} Provider
+ */
+function createGeminiProvider({
+  apiKey = process.env.GEMINI_API_KEY,
+  model = process.env.GEMINI_MODEL || DEFAULT_MODEL
+} = {}) {
+  /**
+   * Maps the shared generation config onto Gemini's generationConfig
+   */
+  function buildRequestBody(messages, config) {
+    // Gemini only knows "user" and "model" turns
+    const contents = messages.map(msg => ({
+      role: msg.role === 'user' ? 'user' : 'model',
+      parts: [{ text: msg.content }]
+    }));
+
+    const generationConfig = {
+      temperature: config.temperature,
+      topP: config.topP,
+      topK: config.topK,
+      maxOutputTokens: config.maxOutputTokens,
+      stopSequences: config.stopSequences
+    };
+    // Structured output: JSON mode, constrained to the task schema in 'schema' mode
+    if (config.outputMode === 'schema' || config.outputMode === 'json') {
+      generationConfig.responseMimeType = 'application/json';
+    }
+    if (config.outputMode === 'schema') {
+      generationConfig.responseSchema = toResponseSchema(config.responseSchema, RESPONSE_SCHEMA_OPTIONS);
+    }
+    Object.keys(generationConfig).forEach(key => generationConfig[key] == null && delete generationConfig[key]);
+
+    return { contents, generationConfig };
+  }
+
+  /**
+   * Maps Gemini's usageMetadata onto { input, output, total }
+   */
+  function usageOf(data) {
+    return data?.usageMetadata ? {
+      input: data.usageMetadata.promptTokenCount || 0,
+      output: data.usageMetadata.candidatesTokenCount || 0,
+      total: data.usageMetadata.totalTokenCount || 0
+    } : null;
+  }
+
+  /**
+   * The error thrown when no API key is configured: a configuration problem,
+   * not an upstream failure, so it is not retried and has no fallback
+   */
+  function missingKeyError() {
+    const error = new Error('GEMINI_API_KEY is required. Please set it in your .env file.');
+    error.provider = 'gemini';
+    error.misconfigured = true;
+    return error;
+  }
+
+  /**
+   * Builds the error thrown to callers, tagged with the HTTP status, provider
+   * and how long the API asked us to wait (Retry-After header or RetryInfo detail)
+   */
+  function toProviderError(status, message, { headers, details } = {}) {
+    const error = new Error(status === 401
+      ? 'Invalid GEMINI_API_KEY. Please check your API key.'
+      : `Gemini API error: ${message}`);
+    error.status = status;
+    error.provider = 'gemini';
+
+    const retryInfo = (details || []).find(detail => detail.retryDelay);
+    const retryAfter = headers?.['retry-after'] ?? (retryInfo && parseFloat(retryInfo.retryDelay));
+    if (retryAfter !== undefined && retryAfter !== null && !Number.isNaN(retryAfter)) {
+      error.retryAfter = retryAfter;
+    }
+    return error;
+  }
+
+  /**
+   * Reads a streamed error body, which axios leaves unparsed with responseType 'stream'
+   */
+  async function readStreamError(err) {
+    const stream = err.response?.data;
+    if (!stream || typeof stream.on !== 'function') return { message: err.message };
+    let body = '';
+    try {
+      for await (const chunk of stream) body += chunk;
+      const { error } = JSON.parse(body);
+      return { message: error?.message || err.message, details: error?.details };
+    } catch (_) {
+      return { message: body || err.message };
+    }
+  }
+
+  return {
+    name: 'gemini',
+    model,
+    structuredOutput: 'schema',
+
+    async generate(messages, config = {}) {
+      if (!apiKey) {
+        throw missingKeyError();
+      }
+
+      try {
+        const resp = await axios.post(
+          `${API_BASE}/${model}:generateContent?key=${apiKey}`,
+          buildRequestBody(messages, config),
+          { headers: { 'Content-Type': 'application/json' }, signal: config.signal }
+        );
+
+        return {
+          text: resp.data?.candidates?.[0]?.content?.parts?.[0]?.text || '',
+          usage: usageOf(resp.data),
+          raw: resp.data,
+          model
+        };
+      } catch (err) {
+        throw toProviderError(err.response?.status, err.response?.data?.error?.message || err.message, {
+          headers: err.response?.headers,
+          details: err.response?.data?.error?.details
+        });
+      }
+    },
+
+    /**
+     * Streams the response via streamGenerateContent (SSE), calling onText with
+     * each piece of text as it arrives
+     */
+    async generateStream(messages, config = {}, onText = () => {}) {
+      if (!apiKey) {
+        throw missingKeyError();
+      }
+
+      let resp;
+      try {
+        resp = await axios.post(
+          `${API_BASE}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`,
+          buildRequestBody(messages, config),
+          { headers: { 'Content-Type': 'application/json' }, responseType: 'stream', signal: config.signal }
+        );
+      } catch (err) {
+        const { message, details } = await readStreamError(err);
+        throw toProviderError(err.response?.status, message, { headers: err.response?.headers, details });
+      }
+
+      let text = '';
+      let usage = null;
+      let buffer = '';
+      const handleLine = line => {
+        if (!line.startsWith('data:')) return;
+        const event = JSON.parse(line.slice(5));
+        if (event.error) throw toProviderError(event.error.code, event.error.message);
+        const piece = (event.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+        usage = usageOf(event) || usage;
+        if (piece) {
+          text += piece;
+          onText(piece);
+        }
+      };
+
+      // Decode as UTF-8 across chunk boundaries (Devanagari text is multi-byte)
+      resp.data.setEncoding('utf8');
+      try {
+        for await (const chunk of resp.data) {
+          buffer += chunk;
+          const lines = buffer.split(/\r?\n/);
+          buffer = lines.pop();
+          lines.forEach(handleLine);
+        }
+        handleLine(buffer);
+      } catch (err) {
+        if (err.provider) throw err;
+        throw toProviderError(undefined, err.message);
+      }
+
+      return { text, usage, raw: { streamed: true, usageMetadata: usage }, model };
+    }
+  };
+}
+
+module.exports = { createGeminiProvider, DEFAULT_MODEL };
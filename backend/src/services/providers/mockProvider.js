@@ -0,0 +1,271 @@
+/**
+ * Deterministic mock provider driven by the corpus
+ *
+ * Builds a schema-valid response for the output task type (debate, analysis,
+ * comparison, explanation, quiz) from the retrieved chunks passed in the call
+ * config, with no network access. Optional schema fields that the one-shot and
+ * RTFC strategies require (e.g. keyTakeaways) are always filled in. Choices
+ * such as quiz distractor order are drawn from a PRNG seeded with the query
+ * hash, so the same query and chunks always produce the same output. Citation snippets are verbatim sentences from the chunks, so
+ * they pass citation verification.
+ */
+
+const crypto = require('crypto');
+const { getCorpus } = require('../corpusService');
+
+// Rough chars-per-token ratio used to report plausible usage numbers
+const CHARS_PER_TOKEN = 4;
+
+// Stances stay under the 150-word schema limit
+const MAX_STANCE_WORDS = 120;
+const MAX_CHUNKS = 3;
+
+// Streaming emits the response in pieces of this many characters
+const STREAM_PIECE_CHARS = 40;
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashSeed(text) {
+  return crypto.createHash('sha256').update(text).digest().readUInt32LE(0);
+}
+
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// "Kesavananda Bharati v. State of Kerala" must not end a sentence
+const ABBREVIATION = /\b(?:v|vs|art|arts|no|cl|sec|dr|mr|mrs|st)\.$/i;
+
+/**
+ * Splits text into sentences of at least four words
+ */
+function sentencesOf(text) {
+  return String(text)
+    .split(/(?<=[.!?])\s+(?=[A-Z(])/)
+    .reduce((sentences, piece) => {
+      const previous = sentences[sentences.length - 1];
+      if (previous && ABBREVIATION.test(previous)) {
+        sentences[sentences.length - 1] = `${previous} ${piece}`;
+      } else {
+        sentences.push(piece);
+      }
+      return sentences;
+    }, [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.split(/\s+/).length >= 4);
+}
+
+const firstSentence = chunk => sentencesOf(chunk.text)[0] || chunk.text.slice(0, 200);
+
+/**
+ * Joins the sentences that fit within the word limit, skipping ones that would overflow it
+ */
+function limitWords(sentences, maxWords) {
+  const kept = [];
+  let words = 0;
+  for (const sentence of sentences) {
+    const count = sentence.split(/\s+/).length;
+    if (words + count > maxWords) continue;
+    kept.push(sentence);
+    words += count;
+  }
+  if (kept.length > 0 || sentences.length === 0) return kept.join(' ');
+  // A single over-long sentence is cut rather than dropped
+  return sentences[0].split(/\s+/).slice(0, maxWords).join(' ');
+}
+
+/**
+ * Short human-readable name for what a chunk covers
+ */
+function labelOf(chunk) {
+  const metadata = chunk.metadata || {};
+  if (metadata.article) return `Article ${metadata.article}`;
+  return metadata.case || metadata.topic || chunk.id;
+}
+
+/**
+ * Builds a multiple-choice question whose answer is the chunk's label
+ */
+function buildQuestion(chunk, allLabels, random) {
+  const answer = labelOf(chunk);
+  const distractors = shuffle(allLabels.filter(label => label !== answer), random).slice(0, 3);
+  if (distractors.length === 0) distractors.push('None of the above');
+
+  const options = shuffle([answer, ...distractors], random);
+  const topic = (chunk.metadata && chunk.metadata.topic) || 'this provision';
+
+  return {
+    q: `Which provision or judgment deals with ${topic}?`,
+    options,
+    answerIndex: options.indexOf(answer),
+    explanation: firstSentence(chunk)
+  };
+}
+
+const TASK_BUILDERS = {
+  debate(chunks, context) {
+    const [lead, ...rest] = chunks;
+    const leadSentences = sentencesOf(lead.text);
+    const stanceSentences = [
+      ...(leadSentences.length > 0 ? leadSentences.slice(0, 2) : [firstSentence(lead)]),
+      ...rest.map(firstSentence)
+    ];
+    const counterSentences = chunks.flatMap(chunk => sentencesOf(chunk.text).slice(2, 3));
+
+    return {
+      stance: limitWords(stanceSentences, MAX_STANCE_WORDS),
+      counterStance: limitWords([
+        `The scope of ${labelOf(lead)} is contested in practice.`,
+        ...(counterSentences.length > 0 ? counterSentences : [`Critics argue its application depends heavily on judicial interpretation.`])
+      ], MAX_STANCE_WORDS),
+      citations: chunks.map(chunk => ({
+        id: chunk.id,
+        source: (chunk.metadata && chunk.metadata.source) || 'Corpus',
+        snippet: firstSentence(chunk)
+      })),
+      quiz: TASK_BUILDERS.quiz(chunks, context).quiz,
+      keyTakeaways: chunks.map(chunk => `${labelOf(chunk)}: ${firstSentence(chunk)}`)
+    };
+  },
+
+  analysis(chunks) {
+    const [lead] = chunks;
+    const sentences = chunks.flatMap(chunk => sentencesOf(chunk.text));
+    return {
+      conceptDefinition: firstSentence(lead),
+      constitutionalBasis: chunks.map(labelOf).join(', '),
+      keyPrinciples: chunks.map(firstSentence),
+      historicalContext: sentences[1] || firstSentence(lead),
+      currentRelevance: sentences[2] || firstSentence(lead),
+      implications: sentences[3] || firstSentence(lead),
+      challenges: `Applying ${labelOf(lead)} continues to raise questions of interpretation.`,
+      summary: limitWords(chunks.map(firstSentence), 60)
+    };
+  },
+
+  comparison(chunks) {
+    const [a, b = chunks[0]] = chunks;
+    const describe = chunk => ({
+      name: labelOf(chunk),
+      definition: firstSentence(chunk),
+      constitutionalBasis: labelOf(chunk),
+      keyFeatures: sentencesOf(chunk.text).slice(0, 3)
+    });
+    return {
+      conceptA: describe(a),
+      conceptB: describe(b),
+      comparison: {
+        similarities: ['Both are part of the Indian constitutional framework.'],
+        differences: [`${labelOf(a)}: ${firstSentence(a)}`, `${labelOf(b)}: ${firstSentence(b)}`],
+        relativeStrengths: `${labelOf(a)} and ${labelOf(b)} apply in different situations.`,
+        practicalImplications: sentencesOf(a.text)[1] || firstSentence(a)
+      },
+      conclusion: limitWords([firstSentence(a), firstSentence(b)], 60)
+    };
+  },
+
+  explanation(chunks) {
+    const [lead] = chunks;
+    const sentences = sentencesOf(lead.text);
+    return {
+      concept: labelOf(lead),
+      simpleDefinition: firstSentence(lead),
+      detailedExplanation: limitWords(sentences, MAX_STANCE_WORDS),
+      constitutionalBasis: chunks.map(labelOf).join(', '),
+      keyComponents: chunks.map(labelOf),
+      examples: chunks.slice(0, 2).map(chunk => ({
+        scenario: `A question arises about ${labelOf(chunk)}.`,
+        explanation: firstSentence(chunk)
+      })),
+      realWorldExample: `A question arises about ${labelOf(lead)}: ${firstSentence(lead)}`,
+      whyItMatters: sentences[1] || firstSentence(lead),
+      benefits: sentences[1] || firstSentence(lead),
+      challenges: `Applying ${labelOf(lead)} continues to raise questions of interpretation.`,
+      commonMisconceptions: [`That ${labelOf(lead)} applies without limits.`],
+      practicalApplications: sentences[2] || firstSentence(lead),
+      practicalImplications: sentences[2] || firstSentence(lead),
+      summary: firstSentence(lead)
+    };
+  },
+
+  quiz(chunks, { random, allLabels }) {
+    return {
+      quiz: chunks.map(chunk => buildQuestion(chunk, allLabels, random))
+    };
+  }
+};
+
+/**
+ * Creates the mock provider
+ * @returns {Object} Provider
+ */
+function createMockProvider() {
+  const provider = {
+    name: 'mock',
+    model: 'mock',
+    // Responses are always schema-valid JSON, so every output mode is honoured
+    structuredOutput: 'schema',
+
+    async generate(messages, config = {}) {
+      const prompt = messages.map(msg => msg.content).join('\n');
+      const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user');
+      const random = createRandom(hashSeed(config.query || (lastUserMessage && lastUserMessage.content) || prompt));
+
+      // The response cites only the chunks the caller retrieved for this prompt
+      const { retrievedChunks = [], ...settings } = config;
+      const chunks = retrievedChunks.slice(0, MAX_CHUNKS);
+      if (chunks.length === 0) {
+        throw new Error('The mock provider builds its response from retrieved chunks, and none were passed');
+      }
+
+      const outputTaskType = config.outputTaskType || config.taskType;
+      const build = TASK_BUILDERS[outputTaskType] || TASK_BUILDERS.debate;
+      const allLabels = [...new Set(getCorpus().map(labelOf))];
+      const text = JSON.stringify(build(chunks, { random, allLabels }));
+
+      const input = Math.ceil(prompt.length / CHARS_PER_TOKEN);
+      const output = Math.ceil(text.length / CHARS_PER_TOKEN);
+
+      return {
+        text,
+        usage: { input, output, total: input + output },
+        raw: { mock: true, chunkIds: chunks.map(chunk => chunk.id), config: settings },
+        model: 'mock'
+      };
+    },
+
+    /**
+     * Emits the same response as generate() in fixed-size pieces
+     */
+    async generateStream(messages, config = {}, onText = () => {}) {
+      const response = await provider.generate(messages, config);
+      for (let i = 0; i < response.text.length; i += STREAM_PIECE_CHARS) {
+        onText(response.text.slice(i, i + STREAM_PIECE_CHARS));
+        // Yield between pieces so they reach the client as separate writes
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      return response;
+    }
+  };
+
+  return provider;
+}
+
+module.exports = { createMockProvider };
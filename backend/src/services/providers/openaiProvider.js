@@ -0,0 +1,169 @@
+/**
+ * OpenAI-compatible provider (chat completions API)
+ *
+ * Works with the OpenAI API and with local servers that expose the same API,
+ * such as llama.cpp (`llama-server`, http://localhost:8080/v1) and Ollama
+ * (http://localhost:11434/v1), by pointing OPENAI_BASE_URL at them.
+ */
+
+const OpenAI = require('openai');
+const { toResponseSchema } = require('../../utils/taskSchemas');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const STRUCTURED_OUTPUT_MODES = ['schema', 'json', 'off'];
+
+// Schema keywords sent in a non-strict json_schema response format
+const RESPONSE_SCHEMA_OPTIONS = {
+  keywords: ['type', 'properties', 'required', 'items', 'minItems', 'minLength', 'minimum', 'anyOf', 'enum', 'description']
+};
+
+/**
+ * Creates the OpenAI-compatible provider
+ * @param {Object} options
+ * @param {string} options.apiKey - API key (default: OPENAI_API_KEY; optional for local servers)
+ * @param {string} options.baseURL - API base URL (default: OPENAI_BASE_URL or the OpenAI API)
+ * @param {string} options.model - Model name (default: OPENAI_MODEL or gpt-4o-mini)
+ * @param {boolean} options.sendTopK - Send top_k; the OpenAI API rejects it but llama.cpp and
+ *   Ollama accept it (default: true whenever a custom baseURL is set)
+ * @param {string} options.structuredOutput - 'schema' (json_schema response format), 'json'
+ *   (json_object) or 'off' (default: OPENAI_STRUCTURED_OUTPUT, else 'schema' for the OpenAI API
+ *   and 'json' for a custom baseURL, since local servers vary in json_schema support)
+ * @returns {Object} Provider
+ */
+function createOpenAIProvider({
+  apiKey = process.env.OPENAI_API_KEY || undefined,
+  baseURL = process.env.OPENAI_BASE_URL || undefined,
+  model = process.env.OPENAI_MODEL || DEFAULT_MODEL,
+  sendTopK = Boolean(baseURL),
+  structuredOutput = process.env.OPENAI_STRUCTURED_OUTPUT || (baseURL ? 'json' : 'schema')
+} = {}) {
+  if (!STRUCTURED_OUTPUT_MODES.includes(structuredOutput)) {
+    throw new Error(`Unknown OPENAI_STRUCTURED_OUTPUT: ${structuredOutput}. Available modes: ${STRUCTURED_OUTPUT_MODES.join(', ')}`);
+  }
+  let client = null;
+
+  /**
+   * Maps the shared generation config onto chat completion parameters
+   */
+  function buildRequestBody(messages, config) {
+    const body = {
+      model,
+      messages: messages.map(msg => ({ role: msg.role, content: msg.content })),
+      temperature: config.temperature,
+      top_p: config.topP,
+      max_tokens: config.maxOutputTokens,
+      stop: config.stopSequences
+    };
+    if (sendTopK) body.top_k = config.topK;
+    if (config.outputMode === 'schema') {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'task_output', schema: toResponseSchema(config.responseSchema, RESPONSE_SCHEMA_OPTIONS), strict: false }
+      };
+    } else if (config.outputMode === 'json') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    Object.keys(body).forEach(key => body[key] == null && delete body[key]);
+    return body;
+  }
+
+  /**
+   * Maps chat completion usage onto { input, output, total }
+   */
+  function usageOf(resp) {
+    return resp.usage ? {
+      input: resp.usage.prompt_tokens || 0,
+      output: resp.usage.completion_tokens || 0,
+      total: resp.usage.total_tokens || 0
+    } : null;
+  }
+
+  /**
+   * Returns the shared client, created on first use
+   */
+  function getClient() {
+    if (!apiKey && !baseURL) {
+      // A configuration problem, not an upstream failure: not retried, no fallback
+      const error = new Error('OPENAI_API_KEY is required (or set OPENAI_BASE_URL for a local server). Please set it in your .env file.');
+      error.provider = 'openai';
+      error.misconfigured = true;
+      throw error;
+    }
+    // Local servers ignore the key, but the SDK requires one
+    client = client || new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, maxRetries: 0 });
+    return client;
+  }
+
+  /**
+   * Builds the error thrown to callers, tagged with the HTTP status, provider and Retry-After
+   */
+  function toProviderError(err) {
+    const error = new Error(err.status === 401
+      ? 'Invalid OPENAI_API_KEY. Please check your API key.'
+      : `OpenAI-compatible API error: ${err.message}`);
+    error.status = err.status;
+    error.provider = 'openai';
+    const retryAfter = err.headers?.get?.('retry-after');
+    if (retryAfter) error.retryAfter = retryAfter;
+    return error;
+  }
+
+  return {
+    name: 'openai',
+    model,
+    structuredOutput: structuredOutput === 'off' ? null : structuredOutput,
+
+    async generate(messages, config = {}) {
+      const openai = getClient();
+
+      try {
+        const resp = await openai.chat.completions.create(buildRequestBody(messages, config), { signal: config.signal });
+
+        return {
+          text: resp.choices?.[0]?.message?.content || '',
+          usage: usageOf(resp),
+          raw: resp,
+          model: resp.model || model
+        };
+      } catch (err) {
+        throw toProviderError(err);
+      }
+    },
+
+    /**
+     * Streams the completion, calling onText with each content delta as it arrives
+     */
+    async generateStream(messages, config = {}, onText = () => {}) {
+      const openai = getClient();
+
+      let text = '';
+      let usage = null;
+      let responseModel = model;
+      try {
+        const stream = await openai.chat.completions.create({
+          ...buildRequestBody(messages, config),
+          stream: true,
+          // Usage arrives in a final chunk with no choices
+          stream_options: { include_usage: true }
+        }, { signal: config.signal });
+
+        for await (const chunk of stream) {
+          const piece = chunk.choices?.[0]?.delta?.content || '';
+          usage = usageOf(chunk) || usage;
+          responseModel = chunk.model || responseModel;
+          if (piece) {
+            text += piece;
+            onText(piece);
+          }
+        }
+      } catch (err) {
+        throw toProviderError(err);
+      }
+
+      return { text, usage, raw: { streamed: true, usage }, model: responseModel };
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider, DEFAULT_MODEL };
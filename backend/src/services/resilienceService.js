@@ -0,0 +1,241 @@
+/**
+ * Resilience Service for CivicsCoach
+ *
+ * Wraps an LLM provider so transient upstream failures are retried and
+ * persistent ones fail fast:
+ * - retries: 429, 5xx and timeouts are retried with exponential backoff and
+ *   full jitter; a Retry-After from the provider is honoured, and a request
+ *   asked to wait longer than the maximum delay is not retried
+ * - timeouts: every attempt gets an AbortController that fires after
+ *   LLM_TIMEOUT_MS (for streams, after that long without new text)
+ * - circuit breaker: after LLM_BREAKER_THRESHOLD consecutive failed calls the
+ *   provider is skipped for LLM_BREAKER_COOLDOWN_MS, then a single trial call
+ *   decides whether it closes again
+ *
+ * Errors that reach the caller keep the provider's .status and .provider and
+ * may carry .timeout, .circuitOpen and .retryAfterMs.
+ */
+
+const { envInt } = require('../utils/env');
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * Resolves the retry and breaker settings from the environment
+ */
+function getResilienceConfig() {
+  return {
+    maxRetries: envInt('LLM_MAX_RETRIES', 2),
+    baseDelayMs: envInt('LLM_RETRY_BASE_DELAY_MS', 500),
+    maxDelayMs: envInt('LLM_RETRY_MAX_DELAY_MS', 8000),
+    timeoutMs: envInt('LLM_TIMEOUT_MS', 30000),
+    breakerThreshold: envInt('LLM_BREAKER_THRESHOLD', 5),
+    breakerCooldownMs: envInt('LLM_BREAKER_COOLDOWN_MS', 30000)
+  };
+}
+
+/**
+ * Converts a Retry-After value (seconds or an HTTP date) to milliseconds
+ * @returns {number|null} Delay in ms, or null when absent or unparseable
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed attempt is worth retrying
+ */
+function isRetryable(err) {
+  return Boolean(err.timeout) || RETRYABLE_STATUSES.includes(err.status);
+}
+
+/**
+ * Backoff before retry number `attempt` (0-based): full jitter over an
+ * exponentially growing window, or the provider's Retry-After when it sent one
+ * @returns {number|null} Delay in ms, or null when Retry-After exceeds maxDelayMs
+ */
+function backoffDelay(attempt, err, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const retryAfterMs = parseRetryAfter(err.retryAfter);
+  if (retryAfterMs !== null) {
+    return retryAfterMs <= maxDelayMs ? retryAfterMs : null;
+  }
+  return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a circuit breaker: closed -> open after `threshold` consecutive
+ * failures -> half-open after `cooldownMs` (one trial call) -> closed on success
+ */
+function createCircuitBreaker({ threshold, cooldownMs, now = Date.now }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+
+  return {
+    /**
+     * Throws when calls should not reach the provider
+     */
+    check(providerName) {
+      if (state === 'closed' || threshold === 0) return;
+      const remainingMs = openedAt + cooldownMs - now();
+      if (state === 'open' && remainingMs <= 0) {
+        state = 'half-open';
+        return;
+      }
+      const error = new Error(`${providerName} is unavailable after ${failures} consecutive failures; ` +
+        `not calling it for another ${Math.ceil(Math.max(remainingMs, 0) / 1000)}s`);
+      error.status = 503;
+      error.provider = providerName;
+      error.circuitOpen = true;
+      error.retryAfterMs = Math.max(remainingMs, 0);
+      throw error;
+    },
+
+    recordSuccess() {
+      state = 'closed';
+      failures = 0;
+    },
+
+    /**
+     * A trial call that was cancelled decided nothing; the next call becomes the trial
+     */
+    recordCancelled() {
+      if (state === 'half-open') state = 'open';
+    },
+
+    recordFailure() {
+      failures += 1;
+      if (state === 'half-open' || (threshold > 0 && failures >= threshold)) {
+        state = 'open';
+        openedAt = now();
+      }
+    }
+  };
+}
+
+/**
+ * Runs one attempt with a timeout; the attempt receives the AbortSignal and a
+ * touch() callback that restarts the timer (used by streams on every piece)
+ */
+async function runWithTimeout(timeoutMs, externalSignal, attempt) {
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+  const touch = () => {
+    clearTimeout(timer);
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs);
+    }
+  };
+  const onExternalAbort = () => controller.abort();
+  if (externalSignal) {
+    if (externalSignal.aborted) controller.abort();
+    externalSignal.addEventListener('abort', onExternalAbort, { once: true });
+  }
+
+  touch();
+  try {
+    return await attempt(controller.signal, touch);
+  } catch (err) {
+    if (!timedOut) throw err;
+    const error = new Error(`LLM request timed out after ${timeoutMs}ms`);
+    error.timeout = true;
+    error.provider = err.provider;
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (externalSignal) externalSignal.removeEventListener('abort', onExternalAbort);
+  }
+}
+
+/**
+ * Wraps a provider with retries, timeouts and a circuit breaker. Pass an
+ * AbortSignal as config.signal to cancel a call (e.g. when the client leaves);
+ * cancelled calls are not retried.
+ * @param {Object} provider - Provider implementing the llmService interface
+ * @param {Object} options - Overrides for getResilienceConfig()
+ * @returns {Object} Provider with the same interface
+ */
+function withResilience(provider, options = {}) {
+  const settings = { ...getResilienceConfig(), ...options };
+  const breaker = createCircuitBreaker({ threshold: settings.breakerThreshold, cooldownMs: settings.breakerCooldownMs });
+
+  /**
+   * Calls the provider until it succeeds, fails with a non-retryable error or
+   * runs out of retries. `canRetry` lets streams stop retrying once text was sent.
+   */
+  async function callWithRetries(config, attemptCall, canRetry = () => true) {
+    breaker.check(provider.name);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await runWithTimeout(settings.timeoutMs, config.signal, attemptCall);
+        breaker.recordSuccess();
+        return response;
+      } catch (err) {
+        const cancelled = Boolean(config.signal && config.signal.aborted);
+        const delay = isRetryable(err) && attempt < settings.maxRetries && canRetry() && !cancelled
+          ? backoffDelay(attempt, err, settings)
+          : null;
+
+        if (delay === null) {
+          // Only upstream trouble counts against the breaker; any other answer shows it is reachable
+          if (cancelled) breaker.recordCancelled();
+          else if (isRetryable(err)) breaker.recordFailure();
+          else breaker.recordSuccess();
+          if (err.retryAfter !== undefined && err.retryAfterMs === undefined) {
+            err.retryAfterMs = parseRetryAfter(err.retryAfter);
+          }
+          throw err;
+        }
+
+        console.warn(`🔁 ${provider.name} attempt ${attempt + 1} failed (${err.timeout ? 'timeout' : err.status}); retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  const wrapped = {
+    ...provider,
+
+    generate(messages, config = {}) {
+      return callWithRetries(config, signal => provider.generate(messages, { ...config, signal }));
+    }
+  };
+
+  if (provider.generateStream) {
+    wrapped.generateStream = (messages, config = {}, onText = () => {}) => {
+      let sentText = false;
+      return callWithRetries(
+        config,
+        (signal, touch) => provider.generateStream(messages, { ...config, signal }, text => {
+          sentText = true;
+          touch();
+          onText(text);
+        }),
+        // Text already passed to onText cannot be taken back, so a broken stream is not restarted
+        () => !sentText
+      );
+    };
+  }
+
+  return wrapped;
+}
+
+module.exports = {
+  withResilience,
+  createCircuitBreaker,
+  getResilienceConfig,
+  parseRetryAfter,
+  backoffDelay,
+  isRetryable
+};
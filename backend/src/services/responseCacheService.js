@@ -0,0 +1,324 @@
+/**
+ * Response Cache Service for CivicsCoach
+ *
+ * Caches successful generation responses so repeated classroom questions do not
+ * cost a model call each time. Entries are keyed by a hash of everything that
+ * shapes the answer: the normalized query, prompting strategy, task type,
+ * proficiency, provider and model, the resolved sampling parameters, the
+ * retrieval settings, the retrieved chunk ids and the corpus version. A corpus
+ * edit therefore changes the key instead of serving a stale answer.
+ *
+ * Backends:
+ * - memory (default): LRU of RESPONSE_CACHE_MAX_ENTRIES entries
+ * - file: the same LRU in front of one JSON file per entry in
+ *   RESPONSE_CACHE_DIR, so entries survive restarts
+ *
+ * Entries expire after RESPONSE_CACHE_TTL_SECONDS. A request with
+ * `Cache-Control: no-cache` skips the lookup but refreshes the entry;
+ * `no-store` neither reads nor writes. RESPONSE_CACHE=off disables the cache.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { envInt } = require('../utils/env');
+
+const DEFAULT_CACHE_BACKEND = 'memory';
+const DEFAULT_CACHE_DIR = path.join(__dirname, '../../data/response_cache');
+
+/**
+ * Resolves the cache settings from the environment
+ */
+function getCacheConfig() {
+  return {
+    enabled: process.env.RESPONSE_CACHE !== 'off',
+    backend: process.env.RESPONSE_CACHE_BACKEND || DEFAULT_CACHE_BACKEND,
+    ttlMs: envInt('RESPONSE_CACHE_TTL_SECONDS', 3600) * 1000,
+    maxEntries: envInt('RESPONSE_CACHE_MAX_ENTRIES', 500),
+    dir: process.env.RESPONSE_CACHE_DIR || DEFAULT_CACHE_DIR
+  };
+}
+
+/**
+ * In-memory LRU: a Map keeps insertion order, so re-inserting on read moves an
+ * entry to the back and the first key is always the least recently used
+ * @param {Function} onEvict - Called with the key of each entry dropped to stay within maxEntries
+ */
+function createMemoryStore({ maxEntries, onEvict = () => {} }) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      if (!entries.has(key)) return null;
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) {
+        const oldest = entries.keys().next().value;
+        entries.delete(oldest);
+        onEvict(oldest);
+      }
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+/**
+ * Memory LRU backed by one JSON file per entry; files are read on a memory miss
+ * and deleted when the LRU evicts their entry
+ */
+function createFileStore({ maxEntries, dir }) {
+  const fileFor = key => path.join(dir, `${key}.json`);
+  const memory = createMemoryStore({
+    maxEntries,
+    onEvict: key => fs.rmSync(fileFor(key), { force: true })
+  });
+
+  return {
+    get(key) {
+      const cached = memory.get(key);
+      if (cached) return cached;
+      if (!fs.existsSync(fileFor(key))) return null;
+      try {
+        const entry = JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+        memory.set(key, entry);
+        return entry;
+      } catch (err) {
+        console.warn(`⚠️ Ignoring unreadable cache file ${fileFor(key)}: ${err.message}`);
+        return null;
+      }
+    },
+
+    set(key, entry) {
+      memory.set(key, entry);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(fileFor(key), JSON.stringify(entry));
+    },
+
+    delete(key) {
+      memory.delete(key);
+      fs.rmSync(fileFor(key), { force: true });
+    },
+
+    clear() {
+      memory.clear();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+
+    size() {
+      return memory.size();
+    }
+  };
+}
+
+// Registered cache backends, keyed by name
+const CACHE_BACKENDS = {
+  memory: createMemoryStore,
+  file: createFileStore
+};
+
+/**
+ * Lists the names of the registered cache backends
+ */
+function getAvailableCacheBackends() {
+  return Object.keys(CACHE_BACKENDS);
+}
+
+/**
+ * Creates a response cache
+ * @param {Object} options - { backend, ttlMs, maxEntries, dir, now }
+ * @returns {Object} { get(key), set(key, value), delete(key), clear(), size(), backend, ttlMs }
+ */
+function createResponseCache({
+  backend = DEFAULT_CACHE_BACKEND,
+  ttlMs,
+  maxEntries,
+  dir = DEFAULT_CACHE_DIR,
+  now = Date.now
+} = {}) {
+  const factory = CACHE_BACKENDS[backend];
+  if (!factory) {
+    throw new Error(`Unknown cache backend: ${backend}. Available backends: ${getAvailableCacheBackends().join(', ')}`);
+  }
+  const store = factory({ maxEntries, dir });
+
+  return {
+    backend,
+    ttlMs,
+
+    /**
+     * @returns {Object|null} { value, storedAt, expiresAt }, or null on a miss or expired entry
+     */
+    get(key) {
+      const entry = store.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now()) {
+        store.delete(key);
+        return null;
+      }
+      return entry;
+    },
+
+    set(key, value) {
+      const storedAt = now();
+      store.set(key, { value, storedAt, expiresAt: storedAt + ttlMs });
+    },
+
+    delete: key => store.delete(key),
+    clear: () => store.clear(),
+    size: () => store.size()
+  };
+}
+
+// Shared cache used by the debate endpoints, created on first use
+let sharedCache;
+
+/**
+ * Returns the shared response cache, or null when RESPONSE_CACHE=off
+ */
+function getResponseCache() {
+  if (sharedCache === undefined) {
+    const { enabled, ...options } = getCacheConfig();
+    sharedCache = enabled ? createResponseCache(options) : null;
+  }
+  return sharedCache;
+}
+
+/**
+ * Lower-cases the query, collapses whitespace and drops trailing punctuation, so
+ * "What is the Basic Structure Doctrine?" and "what is the basic structure doctrine" match
+ */
+function normalizeQuery(query) {
+  return String(query || '').toLowerCase().replace(/\s+/g, ' ').trim().replace(/[?.!\s]+$/, '');
+}
+
+/**
+ * Rounds numbers and sorts object keys so equivalent key parts hash the same
+ */
+function canonicalize(value) {
+  if (typeof value === 'number') return Math.round(value * 10000) / 10000;
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      if (value[key] !== undefined) result[key] = canonicalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Hashes the parts of a generation request that determine its response
+ * @param {Object} parts - { query, strategy, taskType, proficiency, provider, model,
+ *   sampling, retrieval, chunkIds, corpusVersion, ... }; extra fields are hashed too
+ * @returns {string} Cache key
+ */
+function buildCacheKey(parts) {
+  const canonical = canonicalize({ ...parts, query: normalizeQuery(parts.query) });
+  return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Reads the directive that matters to the cache from a Cache-Control header
+ * @returns {string|null} 'no-store', 'no-cache' or null
+ */
+function parseCacheControl(header) {
+  const directives = String(header || '').toLowerCase().split(',').map(part => part.trim());
+  if (directives.includes('no-store')) return 'no-store';
+  if (directives.includes('no-cache')) return 'no-cache';
+  return null;
+}
+
+/**
+ * Looks up a generation response
+ * @param {Object} keyParts - See buildCacheKey
+ * @param {string} cacheControl - The request's Cache-Control header
+ * @returns {Object} Lookup: { status: 'hit' | 'miss' | 'bypass' | 'disabled', key, entry }
+ */
+function lookupResponse(keyParts, cacheControl) {
+  const cache = getResponseCache();
+  if (!cache) return { status: 'disabled' };
+
+  const key = buildCacheKey(keyParts);
+  const directive = parseCacheControl(cacheControl);
+  if (directive) {
+    return { status: 'bypass', key, store: directive === 'no-cache' };
+  }
+
+  const entry = cache.get(key);
+  if (!entry) {
+    return { status: 'miss', key, store: true };
+  }
+  console.log(`💾 Response cache hit ${key.slice(0, 12)}`);
+  return { status: 'hit', key, entry };
+}
+
+/**
+ * Describes a lookup for metadata.cache
+ */
+function cacheMetadata(lookup) {
+  const cache = getResponseCache();
+  const metadata = { status: lookup.status };
+  if (!cache) return metadata;
+
+  metadata.key = lookup.key;
+  metadata.backend = cache.backend;
+  if (lookup.entry) {
+    metadata.ageSeconds = Math.round((Date.now() - lookup.entry.storedAt) / 1000);
+    metadata.expiresAt = new Date(lookup.entry.expiresAt).toISOString();
+  }
+  return metadata;
+}
+
+/**
+ * Returns the cached response body for a hit, with metadata.cache describing it
+ */
+function cachedResponse(lookup) {
+  const body = lookup.entry.value;
+  return { ...body, metadata: { ...body.metadata, cache: cacheMetadata(lookup) } };
+}
+
+/**
+ * Stores a freshly generated response body when the lookup allows it. Only
+ * successful, non-degraded responses are cached.
+ * @returns {Object} The body with metadata.cache added
+ */
+function storeResponse(lookup, body) {
+  const cache = getResponseCache();
+  if (cache && lookup.store && body.ok && !(body.metadata && body.metadata.degraded)) {
+    cache.set(lookup.key, body);
+  }
+  return { ...body, metadata: { ...body.metadata, cache: cacheMetadata(lookup) } };
+}
+
+module.exports = {
+  createResponseCache,
+  getResponseCache,
+  getCacheConfig,
+  getAvailableCacheBackends,
+  buildCacheKey,
+  normalizeQuery,
+  parseCacheControl,
+  lookupResponse,
+  cachedResponse,
+  storeResponse,
+  DEFAULT_CACHE_BACKEND,
+  DEFAULT_CACHE_DIR
+};
@@ -0,0 +1,563 @@
+/**
+ * Similarity Service for CivicsCoach
+ *
+ * Lexical retrieval over the constitutional corpus:
+ * 1. Tokenizes text with stopword removal and light plural stemming
+ * 2. Builds a term index over the live corpus, rebuilt after corpus edits
+ * 3. Scores chunks with a selectable metric (cosine, dot, jaccard, bm25)
+ * 4. Returns scored chunks in the {id, text, metadata, score} shape the prompt builders consume
+ *
+ * Dense-vector retrieval over the same corpus:
+ * 1. Embeds every chunk through a pluggable embedder (see embeddingService)
+ * 2. Persists the vectors to data/vector_index.json so the server does not re-embed on boot
+ * 3. Ranks chunks by cosine similarity to the embedded query
+ *
+ * Hybrid retrieval fuses the lexical and vector rankings with reciprocal-rank
+ * fusion, then diversifies the top K with Maximal Marginal Relevance.
+ *
+ * Every mode can restrict candidates by chunk metadata (see utils/metadataFilter)
+ * and boosts chunks for articles the query names explicitly ("Article 110").
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { tokenize, STOPWORDS } = require('../utils/tokenizer');
+const { createEmbedder } = require('./embeddingService');
+const { getCorpus, onCorpusChange } = require('./corpusService');
+const { matchesFilters, detectArticleReferences, coversArticle, mentionsArticle } = require('../utils/metadataFilter');
+
+const VECTOR_INDEX_PATH = path.join(__dirname, '../../data/vector_index.json');
+
+// BM25 tuning parameters (standard Okapi defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Hybrid retrieval: reciprocal-rank fusion damping constant and default MMR trade-off
+const RRF_K = 60;
+const DEFAULT_MMR_LAMBDA = 0.7;
+const RETRIEVAL_MODES = ['lexical', 'vector', 'hybrid'];
+
+// Score multipliers for chunks matching an article referenced in the query
+const ARTICLE_METADATA_BOOST = 1.5;
+const ARTICLE_MENTION_BOOST = 1.2;
+
+/**
+ * Counts term occurrences in a token list
+ */
+function countTerms(tokens) {
+  const counts = new Map();
+  tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Builds a TF-IDF weight vector from term counts
+ */
+function weighTerms(termFreqs, idf) {
+  const weights = new Map();
+  termFreqs.forEach((tf, term) => {
+    if (idf.has(term)) weights.set(term, tf * idf.get(term));
+  });
+  return weights;
+}
+
+function vectorNorm(weights) {
+  let sum = 0;
+  weights.forEach(weight => { sum += weight * weight; });
+  return Math.sqrt(sum);
+}
+
+/**
+ * Builds a lexical index over a list of corpus chunks
+ * @param {Array} chunks - Corpus chunks ({id, text, metadata})
+ * @returns {Object} Index with per-document term frequencies, TF-IDF vectors, document frequencies and IDF table
+ */
+function buildLexicalIndex(chunks) {
+  const docs = chunks.map(chunk => {
+    const tokens = tokenize(chunk.text);
+    return { chunk, termFreqs: countTerms(tokens), length: tokens.length };
+  });
+
+  const docFreqs = new Map();
+  docs.forEach(doc => {
+    doc.termFreqs.forEach((_, term) => docFreqs.set(term, (docFreqs.get(term) || 0) + 1));
+  });
+
+  const totalDocs = docs.length;
+  const idf = new Map();
+  docFreqs.forEach((df, term) => {
+    // BM25+ style IDF that never goes negative for very common terms
+    idf.set(term, Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5)));
+  });
+
+  docs.forEach(doc => {
+    doc.tfidf = weighTerms(doc.termFreqs, idf);
+    doc.norm = vectorNorm(doc.tfidf);
+  });
+
+  const totalLength = docs.reduce((sum, doc) => sum + doc.length, 0);
+
+  return {
+    docs,
+    docFreqs,
+    idf,
+    totalDocs,
+    avgDocLength: totalDocs > 0 ? totalLength / totalDocs : 0
+  };
+}
+
+/**
+ * Dot product of two sparse term-weight vectors
+ */
+function sparseDot(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let sum = 0;
+  small.forEach((weight, term) => {
+    const other = large.get(term);
+    if (other) sum += weight * other;
+  });
+  return sum;
+}
+
+/**
+ * Similarity metrics. Each scorer receives the index, the query's term counts and
+ * a document, and returns a relevance score (higher is more similar).
+ */
+const SIMILARITY_METRICS = {
+  cosine: {
+    description: 'Cosine similarity between TF-IDF vectors',
+    score(index, queryTerms, doc) {
+      const queryVector = weighTerms(queryTerms, index.idf);
+      const queryNorm = vectorNorm(queryVector);
+      if (!queryNorm || !doc.norm) return 0;
+      return sparseDot(queryVector, doc.tfidf) / (queryNorm * doc.norm);
+    }
+  },
+  dot: {
+    description: 'Unnormalized dot product between TF-IDF vectors',
+    score(index, queryTerms, doc) {
+      return sparseDot(weighTerms(queryTerms, index.idf), doc.tfidf);
+    }
+  },
+  jaccard: {
+    description: 'Jaccard overlap between query and chunk term sets',
+    score(index, queryTerms, doc) {
+      let intersection = 0;
+      queryTerms.forEach((_, term) => {
+        if (doc.termFreqs.has(term)) intersection++;
+      });
+      const union = queryTerms.size + doc.termFreqs.size - intersection;
+      return union > 0 ? intersection / union : 0;
+    }
+  },
+  bm25: {
+    description: 'Okapi BM25 with IDF weighting and length normalization',
+    score(index, queryTerms, doc) {
+      let score = 0;
+      const lengthNorm = 1 - BM25_B + BM25_B * (doc.length / (index.avgDocLength || 1));
+
+      queryTerms.forEach((_, term) => {
+        const tf = doc.termFreqs.get(term);
+        if (!tf) return;
+        score += index.idf.get(term) * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm));
+      });
+
+      return score;
+    }
+  }
+};
+
+/**
+ * Lists the names of the supported similarity metrics
+ */
+function getAvailableMetrics() {
+  return Object.keys(SIMILARITY_METRICS);
+}
+
+/**
+ * Checks that a metric name is supported
+ * @param {string} metric - Metric name from the request
+ * @returns {Object} { ok: true } or { ok: false, error, availableMetrics }
+ */
+function validateMetric(metric) {
+  if (Object.prototype.hasOwnProperty.call(SIMILARITY_METRICS, metric)) return { ok: true };
+  const availableMetrics = getAvailableMetrics();
+  return {
+    ok: false,
+    error: `Unknown similarity metric: ${metric}. Available metrics: ${availableMetrics.join(', ')}`,
+    availableMetrics
+  };
+}
+
+/**
+ * Scores every document in the index against a query
+ * @param {Object} index - Index produced by buildLexicalIndex
+ * @param {string} query - Free-text query
+ * @param {string} metric - Similarity metric name (default: 'bm25')
+ * @param {Function} predicate - Optional chunk filter applied before scoring
+ * @returns {Array} Chunks with their score, in corpus order
+ */
+function scoreDocuments(index, query, metric = 'bm25', predicate = null) {
+  const check = validateMetric(metric);
+  if (!check.ok) {
+    throw new Error(check.error);
+  }
+
+  const scorer = SIMILARITY_METRICS[metric];
+  const queryTerms = countTerms(tokenize(query));
+
+  return index.docs
+    .filter(doc => !predicate || predicate(doc.chunk))
+    .map(doc => ({ chunk: doc.chunk, score: scorer.score(index, queryTerms, doc) }));
+}
+
+// Index over the live corpus, built on first use
+let corpusIndex = null;
+
+function getCorpusIndex() {
+  if (!corpusIndex) {
+    corpusIndex = buildLexicalIndex(getCorpus());
+  }
+  return corpusIndex;
+}
+
+/**
+ * Fingerprints the corpus so a persisted vector index can be detected as stale
+ * @param {Array} chunks - Corpus chunks
+ * @returns {string} SHA-256 hex digest of every chunk id and text
+ */
+function computeCorpusHash(chunks) {
+  const hash = crypto.createHash('sha256');
+  chunks.forEach(chunk => hash.update(`${chunk.id}\u0000${chunk.text}\u0000`));
+  return hash.digest('hex');
+}
+
+/**
+ * Embeds every chunk into a serializable vector index
+ * @param {Array} chunks - Corpus chunks ({id, text, metadata})
+ * @param {Object} embedder - Embedder from embeddingService (default: createEmbedder())
+ * @returns {Promise<Object>} { embedder, dimensions, corpusHash, vectors: [{id, vector}] }
+ */
+async function buildVectorIndex(chunks, embedder = createEmbedder()) {
+  const vectors = await embedder.embed(chunks.map(chunk => chunk.text));
+
+  return {
+    embedder: embedder.name,
+    dimensions: embedder.dimensions,
+    corpusHash: computeCorpusHash(chunks),
+    vectors: chunks.map((chunk, i) => ({
+      id: chunk.id,
+      vector: vectors[i].map(value => Number(value.toFixed(6)))
+    }))
+  };
+}
+
+/**
+ * Writes a vector index to disk
+ */
+function saveVectorIndex(index, filePath = VECTOR_INDEX_PATH) {
+  fs.writeFileSync(filePath, JSON.stringify(index));
+}
+
+/**
+ * Reads a persisted vector index, returning null when none exists
+ */
+function loadVectorIndex(filePath = VECTOR_INDEX_PATH) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ Could not read vector index at ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+// Vector index over the live corpus, loaded (or embedded) on first use
+let corpusVectorIndex = null;
+
+function getCorpusVectorIndex() {
+  if (!corpusVectorIndex) {
+    corpusVectorIndex = (async () => {
+      const embedder = createEmbedder();
+      const persisted = loadVectorIndex();
+
+      if (
+        persisted &&
+        persisted.embedder === embedder.name &&
+        persisted.dimensions === embedder.dimensions &&
+        persisted.corpusHash === computeCorpusHash(getCorpus())
+      ) {
+        return { index: persisted, embedder };
+      }
+
+      console.warn('⚠️ Vector index missing or stale - embedding corpus in memory. Run `node scripts/build_vector_index.js` to persist it.');
+      return { index: await buildVectorIndex(getCorpus(), embedder), embedder };
+    })().catch(error => {
+      // A failed build is retried by the next search instead of being cached
+      corpusVectorIndex = null;
+      throw error;
+    });
+  }
+  return corpusVectorIndex;
+}
+
+/**
+ * Drops the cached lexical and vector indexes so the next retrieval rebuilds them
+ * from the current corpus
+ */
+function invalidateIndexes() {
+  corpusIndex = null;
+  corpusVectorIndex = null;
+}
+
+// Corpus edits (e.g. through the articles API) make both indexes stale
+onCorpusChange(invalidateIndexes);
+
+/**
+ * Scores every chunk in the vector index against a query
+ * @param {string} query - Free-text query
+ * @param {Function} predicate - Optional chunk filter applied before scoring
+ * @returns {Promise<Array>} Chunks with their cosine similarity, in index order
+ */
+async function scoreVectors(query, predicate = null) {
+  const { index, embedder } = await getCorpusVectorIndex();
+  const [queryVector] = await embedder.embed([query]);
+  const chunksById = new Map(getCorpus().map(chunk => [chunk.id, chunk]));
+
+  return index.vectors
+    .filter(entry => chunksById.has(entry.id) && (!predicate || predicate(chunksById.get(entry.id))))
+    .map(entry => ({
+      chunk: chunksById.get(entry.id),
+      score: cosineSimilarity(entry.vector, queryVector)
+    }));
+}
+
+/**
+ * Cosine similarity between two unit-length dense vectors (a plain dot product)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b) return 0;
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+/**
+ * Orders scored chunks by descending score, dropping non-matches
+ */
+function rankByScore(results) {
+  return results
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Fuses several rankings with reciprocal-rank fusion: score = sum of 1 / (k + rank)
+ * @param {Array<Array>} rankings - Ranked lists of {chunk, score}
+ * @param {number} k - Damping constant (default: 60)
+ * @returns {Map} Chunk id -> fused score
+ */
+function reciprocalRankFusion(rankings, k = RRF_K) {
+  const fused = new Map();
+  rankings.forEach(ranking => {
+    ranking.forEach((result, rank) => {
+      fused.set(result.chunk.id, (fused.get(result.chunk.id) || 0) + 1 / (k + rank + 1));
+    });
+  });
+  return fused;
+}
+
+/**
+ * Re-ranks candidates with Maximal Marginal Relevance so near-duplicate chunks
+ * (e.g. two federalism chunks restating the Seventh Schedule) do not crowd the top K.
+ * MMR = lambda * relevance - (1 - lambda) * max similarity to already selected chunks
+ * @param {Array} candidates - Candidates sorted by descending score
+ * @param {number} topK - Number of chunks to select
+ * @param {number} lambda - Relevance/diversity trade-off (1 = pure relevance)
+ * @param {Map} vectorsById - Chunk id -> embedding, used for chunk-to-chunk similarity
+ * @returns {Array} Selected candidates, each annotated with components.mmr
+ */
+function applyMMR(candidates, topK, lambda, vectorsById) {
+  const maxScore = candidates.length > 0 ? candidates[0].score : 1;
+  const remaining = [...candidates];
+  const selected = [];
+
+  while (selected.length < topK && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+
+    remaining.forEach((candidate, i) => {
+      const relevance = candidate.score / (maxScore || 1);
+      const redundancy = selected.reduce((max, chosen) => Math.max(
+        max,
+        cosineSimilarity(vectorsById.get(candidate.chunk.id), vectorsById.get(chosen.chunk.id))
+      ), 0);
+      const value = lambda * relevance - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = i;
+      }
+    });
+
+    const [picked] = remaining.splice(bestIndex, 1);
+    picked.components.mmr = bestValue;
+    selected.push(picked);
+  }
+
+  return selected;
+}
+
+/**
+ * Multiplier applied to a chunk for the articles a query references explicitly:
+ * chunks whose metadata covers the article get the larger boost, chunks that only
+ * mention it in their text get a smaller one.
+ */
+function articleBoost(chunk, articles) {
+  if (articles.some(article => coversArticle(chunk.metadata || {}, article))) return ARTICLE_METADATA_BOOST;
+  if (articles.some(article => mentionsArticle(chunk, article))) return ARTICLE_MENTION_BOOST;
+  return 1;
+}
+
+/**
+ * Checks that a retrieval mode is supported
+ * @param {string} mode - Retrieval mode from the request
+ * @returns {Object} { ok: true } or { ok: false, error, availableModes }
+ */
+function validateRetrievalMode(mode) {
+  if (RETRIEVAL_MODES.includes(mode)) return { ok: true };
+  return {
+    ok: false,
+    error: `Unknown retrieval mode: ${mode}. Available modes: ${RETRIEVAL_MODES.join(', ')}`,
+    availableModes: RETRIEVAL_MODES
+  };
+}
+
+/**
+ * Checks an MMR lambda; null and undefined fall back to the mode's default
+ * @returns {Object} { ok: true } or { ok: false, error }
+ */
+function validateMMRLambda(mmrLambda) {
+  if (mmrLambda === null || mmrLambda === undefined) return { ok: true };
+  if (typeof mmrLambda === 'number' && Number.isFinite(mmrLambda) && mmrLambda >= 0 && mmrLambda <= 1) {
+    return { ok: true };
+  }
+  return { ok: false, error: `mmrLambda must be a number between 0 and 1, got ${JSON.stringify(mmrLambda)}` };
+}
+
+/**
+ * Resolves the MMR lambda for a retrieval mode. Hybrid retrieval diversifies by
+ * default; lexical and vector retrieval rank by pure relevance unless a lambda is given.
+ * @returns {number|null} Lambda clamped to [0, 1], or null when MMR is disabled
+ */
+function resolveMMRLambda(mode, mmrLambda = null) {
+  if (mmrLambda !== null && mmrLambda !== undefined) {
+    return Math.max(0, Math.min(1, Number(mmrLambda)));
+  }
+  return mode === 'hybrid' ? DEFAULT_MMR_LAMBDA : null;
+}
+
+const roundScore = score => Number(score.toFixed(4));
+
+/**
+ * Retrieves the most relevant corpus chunks for a query
+ * @param {string} query - Free-text query
+ * @param {Object} options - Retrieval options
+ * @param {number} options.topK - Maximum number of chunks to return (default: 4)
+ * @param {string} options.metric - Lexical similarity metric (cosine, dot, jaccard, bm25; default: 'bm25')
+ * @param {string} options.mode - 'lexical', 'vector' or 'hybrid' (default: 'lexical')
+ * @param {number} options.mmrLambda - MMR trade-off; see resolveMMRLambda (default: null)
+ * @param {Object} options.filters - Metadata filters applied before scoring (default: {})
+ * @returns {Promise<Array>} Scored chunks ({id, text, metadata, score, components}) in ranked order.
+ *   components holds the per-retriever scores (lexical, vector, rrf, articleBoost, mmr) that produced the ranking.
+ */
+async function retrieveChunks(query, { topK = 4, metric = 'bm25', mode = 'lexical', mmrLambda = null, filters = {} } = {}) {
+  const modeCheck = validateRetrievalMode(mode);
+  if (!modeCheck.ok) {
+    throw new Error(modeCheck.error);
+  }
+
+  const candidates = new Map();
+  const candidateFor = chunk => {
+    if (!candidates.has(chunk.id)) candidates.set(chunk.id, { chunk, score: 0, components: {} });
+    return candidates.get(chunk.id);
+  };
+
+  const rankings = [];
+  const predicate = filters && Object.keys(filters).length > 0 ? chunk => matchesFilters(chunk, filters) : null;
+
+  if (mode !== 'vector') {
+    const lexical = rankByScore(scoreDocuments(getCorpusIndex(), query, metric, predicate));
+    lexical.forEach(result => { candidateFor(result.chunk).components.lexical = result.score; });
+    rankings.push(lexical);
+  }
+
+  if (mode !== 'lexical') {
+    const vector = rankByScore(await scoreVectors(query, predicate));
+    vector.forEach(result => { candidateFor(result.chunk).components.vector = result.score; });
+    rankings.push(vector);
+  }
+
+  if (mode === 'hybrid') {
+    reciprocalRankFusion(rankings).forEach((fusedScore, id) => {
+      const candidate = candidates.get(id);
+      candidate.components.rrf = fusedScore;
+      candidate.score = fusedScore;
+    });
+  } else {
+    candidates.forEach(candidate => {
+      candidate.score = candidate.components[mode];
+    });
+  }
+
+  const referencedArticles = detectArticleReferences(query);
+  if (referencedArticles.length > 0) {
+    candidates.forEach(candidate => {
+      const boost = articleBoost(candidate.chunk, referencedArticles);
+      if (boost !== 1) {
+        candidate.components.articleBoost = boost;
+        candidate.score *= boost;
+      }
+    });
+  }
+
+  let ranked = [...candidates.values()].sort((a, b) => b.score - a.score);
+
+  const lambda = resolveMMRLambda(mode, mmrLambda);
+  if (lambda !== null && lambda < 1) {
+    const { index } = await getCorpusVectorIndex();
+    const vectorsById = new Map(index.vectors.map(entry => [entry.id, entry.vector]));
+    ranked = applyMMR(ranked, topK, lambda, vectorsById);
+  }
+
+  return ranked.slice(0, topK).map(({ chunk, score, components }) => ({
+    id: chunk.id,
+    text: chunk.text,
+    metadata: chunk.metadata,
+    score: roundScore(score),
+    components: Object.fromEntries(
+      Object.entries(components).map(([name, value]) => [name, roundScore(value)])
+    )
+  }));
+}
+
+module.exports = {
+  retrieveChunks,
+  buildLexicalIndex,
+  scoreDocuments,
+  getAvailableMetrics,
+  validateMetric,
+  validateRetrievalMode,
+  validateMMRLambda,
+  resolveMMRLambda,
+  reciprocalRankFusion,
+  applyMMR,
+  invalidateIndexes,
+  buildVectorIndex,
+  saveVectorIndex,
+  loadVectorIndex,
+  computeCorpusHash,
+  tokenize,
+  SIMILARITY_METRICS,
+  STOPWORDS,
+  RETRIEVAL_MODES,
+  VECTOR_INDEX_PATH
+};
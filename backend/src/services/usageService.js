@@ -0,0 +1,244 @@
+/**
+ * Usage Ledger Service for CivicsCoach
+ *
+ * Records one entry per LLM call (generation and JSON repair) and per response
+ * served from the cache, so prompting strategies can be compared on real token
+ * counts, cost and latency:
+ *   { timestamp, user, strategy, taskType, purpose, provider, model, inputTokens,
+ *     outputTokens, latencyMs, costUsd, cacheHit, degraded, ok, experiment, variant }
+ *
+ * Costs use the price table in utils/modelCatalog.js (LLM_PRICES_FILE overrides
+ * it) at the time of the call; models without a price have costUsd: null.
+ * Entries are kept in memory and appended to USAGE_LEDGER_FILE as JSON lines,
+ * which is read back on first use. USAGE_LEDGER=off disables the ledger.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { estimateCost } = require('../utils/modelCatalog');
+
+const DEFAULT_LEDGER_FILE = path.join(__dirname, '../../data/usage_ledger.jsonl');
+
+// How entries are grouped in summaries, keyed by groupBy name
+const USAGE_GROUPINGS = {
+  strategy: entry => entry.strategy || 'unknown',
+  day: entry => entry.timestamp.slice(0, 10),
+  user: entry => entry.user || 'anonymous',
+  model: entry => entry.model || 'unknown',
+  // "<experiment>:<variant>" for requests enrolled in an experiment
+  variant: entry => (entry.experiment ? `${entry.experiment}:${entry.variant}` : 'none')
+};
+
+/**
+ * Resolves the ledger settings from the environment
+ */
+function getLedgerConfig() {
+  return {
+    enabled: process.env.USAGE_LEDGER !== 'off',
+    file: process.env.USAGE_LEDGER_FILE || DEFAULT_LEDGER_FILE
+  };
+}
+
+// Ledger entries, loaded from the ledger file on first use
+let entries;
+
+function loadEntries() {
+  if (entries) return entries;
+  entries = [];
+  const { file } = getLedgerConfig();
+  if (!fs.existsSync(file)) return entries;
+
+  fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach((line, index) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      console.warn(`⚠️ Skipping unreadable usage ledger line ${index + 1}: ${err.message}`);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Records an LLM call or cache hit
+ * @param {Object} call - { user, strategy, taskType, purpose ('generate' | 'repair' | 'fallback'), provider,
+ *   model, usage: { input, output }, latencyMs, cacheHit, degraded, ok, experiment, variant }
+ * @returns {Object|null} The stored entry, or null when the ledger is off
+ */
+function recordUsage({
+  user = 'anonymous',
+  strategy = null,
+  taskType = null,
+  purpose = 'generate',
+  provider = null,
+  model = null,
+  usage = null,
+  latencyMs = 0,
+  cacheHit = false,
+  degraded = false,
+  ok = true,
+  experiment = null,
+  variant = null
+}) {
+  const { enabled, file } = getLedgerConfig();
+  if (!enabled) return null;
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    user,
+    strategy,
+    taskType,
+    purpose,
+    provider,
+    model,
+    inputTokens: cacheHit ? 0 : (usage && usage.input) || 0,
+    outputTokens: cacheHit ? 0 : (usage && usage.output) || 0,
+    latencyMs,
+    costUsd: cacheHit ? 0 : estimateCost(model, usage),
+    cacheHit,
+    degraded,
+    ok,
+    experiment,
+    variant
+  };
+
+  loadEntries().push(entry);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+  } catch (err) {
+    console.warn(`⚠️ Could not write usage ledger ${file}: ${err.message}`);
+  }
+  return entry;
+}
+
+/**
+ * Validates a summary grouping
+ * @returns {Object} { ok, error, availableGroupings }
+ */
+function validateGroupBy(groupBy) {
+  if (USAGE_GROUPINGS[groupBy]) return { ok: true };
+  return {
+    ok: false,
+    error: `Unknown groupBy: ${groupBy}. Available groupings: ${getAvailableGroupings().join(', ')}`,
+    availableGroupings: getAvailableGroupings()
+  };
+}
+
+function getAvailableGroupings() {
+  return Object.keys(USAGE_GROUPINGS);
+}
+
+// A bare date as `to` covers that whole day
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a from / to bound: an ISO date or date-time (any UTC offset) or a
+ * timestamp in milliseconds
+ * @returns {number|null} Milliseconds since the epoch, null when unset, NaN when unparseable
+ */
+function parseDateBound(value, { end = false } = {}) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  const ms = Date.parse(text);
+  return end && DATE_ONLY.test(text) ? ms + DAY_MS - 1 : ms;
+}
+
+/**
+ * Checks the from / to bounds of a summary
+ * @returns {Object} { ok: true } or { ok: false, error }
+ */
+function validateDateRange({ from = null, to = null } = {}) {
+  const invalid = [from, to].find(value => Number.isNaN(parseDateBound(value)));
+  if (invalid === undefined) return { ok: true };
+  return { ok: false, error: `Invalid date: ${invalid}. Use an ISO date such as 2026-01-31 or a timestamp in milliseconds` };
+}
+
+/**
+ * Whether an entry's ISO timestamp falls within from / to (inclusive)
+ */
+function withinDates(from, to) {
+  const start = parseDateBound(from);
+  const end = parseDateBound(to, { end: true });
+  return entry => {
+    const time = Date.parse(entry.timestamp);
+    return (start === null || time >= start) && (end === null || time <= end);
+  };
+}
+
+/**
+ * Percentile of a list of numbers (nearest rank)
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Totals a list of ledger entries. Requests count generations and cache hits;
+ * fallback calls answer a generation that is already counted. Latency and cost
+ * cover model calls only.
+ */
+function summarizeEntries(list) {
+  const calls = list.filter(entry => !entry.cacheHit);
+  const latencies = calls.map(entry => entry.latencyMs);
+  const priced = calls.filter(entry => entry.costUsd !== null);
+  const requests = list.filter(entry => entry.purpose === 'generate').length;
+  const cacheHits = list.filter(entry => entry.cacheHit).length;
+
+  return {
+    requests,
+    llmCalls: calls.length,
+    repairCalls: calls.filter(entry => entry.purpose === 'repair').length,
+    failedCalls: calls.filter(entry => !entry.ok).length,
+    degradedCalls: calls.filter(entry => entry.degraded).length,
+    cacheHits,
+    cacheHitRate: requests ? Math.round((cacheHits / requests) * 1000) / 1000 : 0,
+    inputTokens: calls.reduce((sum, entry) => sum + entry.inputTokens, 0),
+    outputTokens: calls.reduce((sum, entry) => sum + entry.outputTokens, 0),
+    costUsd: Math.round(priced.reduce((sum, entry) => sum + entry.costUsd, 0) * 1e6) / 1e6,
+    unpricedCalls: calls.length - priced.length,
+    avgLatencyMs: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+    p95LatencyMs: percentile(latencies, 95)
+  };
+}
+
+/**
+ * Summarizes the ledger
+ * @param {Object} options - { groupBy (see USAGE_GROUPINGS), from, to (ISO dates or timestamps, inclusive) }
+ * @returns {Object} { groupBy, from, to, totals, groups: [{ key, ...totals }] }
+ */
+function summarizeUsage({ groupBy = 'strategy', from = null, to = null } = {}) {
+  const selected = loadEntries().filter(withinDates(from, to));
+
+  const keyOf = USAGE_GROUPINGS[groupBy];
+  const groups = new Map();
+  selected.forEach(entry => {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  return {
+    groupBy,
+    from,
+    to,
+    totals: summarizeEntries(selected),
+    groups: [...groups.entries()]
+      .map(([key, list]) => ({ key, ...summarizeEntries(list) }))
+      .sort((a, b) => String(a.key).localeCompare(String(b.key)))
+  };
+}
+
+module.exports = {
+  recordUsage,
+  summarizeUsage,
+  validateGroupBy,
+  validateDateRange,
+  withinDates,
+  getAvailableGroupings,
+  getLedgerConfig,
+  DEFAULT_LEDGER_FILE
+};
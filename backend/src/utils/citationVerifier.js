@@ -0,0 +1,113 @@
+/**
+ * Citation verification against retrieved chunks
+ *
+ * Matches each model citation's id to a chunk that was actually retrieved for the
+ * request and fuzzily aligns its snippet with that chunk's text, so fabricated or
+ * misquoted citations are flagged instead of being shown as evidence.
+ */
+
+const { tokenize } = require('./tokenizer');
+
+// Minimum snippet/chunk similarity for a citation to count as verified
+const DEFAULT_VERIFICATION_THRESHOLD = 0.6;
+
+// Models sometimes echo the prompt's "[article110]" formatting back as the id
+const normalizeId = id => String(id || '').trim().replace(/^\[|\]$/g, '').trim().toLowerCase();
+
+const bigrams = tokens => tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`);
+
+/**
+ * Scores how well a snippet aligns with a chunk's text (0-1)
+ *
+ * Averages the best unigram coverage over a sliding window of the chunk (so a
+ * short quote from a long chunk still scores high) with the share of the
+ * snippet's bigrams found anywhere in the chunk (so word order counts).
+ * @param {string} snippet - Citation snippet from the model
+ * @param {string} text - Retrieved chunk text
+ * @returns {number} Similarity rounded to 4 decimals
+ */
+function snippetSimilarity(snippet, text) {
+  const snippetTokens = tokenize(snippet);
+  const textTokens = tokenize(text);
+  if (snippetTokens.length === 0 || textTokens.length === 0) return 0;
+
+  const windowSize = Math.min(textTokens.length, Math.ceil(snippetTokens.length * 1.5));
+  let bestCoverage = 0;
+  for (let start = 0; start + windowSize <= textTokens.length; start++) {
+    const window = new Set(textTokens.slice(start, start + windowSize));
+    const covered = snippetTokens.filter(token => window.has(token)).length;
+    bestCoverage = Math.max(bestCoverage, covered / snippetTokens.length);
+    if (bestCoverage === 1) break;
+  }
+
+  const snippetBigrams = bigrams(snippetTokens);
+  const textBigrams = new Set(bigrams(textTokens));
+  const bigramCoverage = snippetBigrams.length > 0
+    ? snippetBigrams.filter(bigram => textBigrams.has(bigram)).length / snippetBigrams.length
+    : bestCoverage;
+
+  return Math.round(((bestCoverage + bigramCoverage) / 2) * 10000) / 10000;
+}
+
+/**
+ * Annotates each citation with verified, matchedChunkId and similarity
+ *
+ * A citation is verified when its id names a retrieved chunk and its snippet aligns
+ * with that chunk's text. Ids that were never retrieved are marked unsourced; for
+ * those, matchedChunkId points at the retrieved chunk the snippet aligns with best
+ * (if any clears the threshold) so the quote can still be traced.
+ * @param {Array} citations - citations[] from the parsed model output
+ * @param {Array} retrievedChunks - Chunks that were placed in the prompt
+ * @param {Object} options - { threshold }
+ * @returns {Object} { citations, summary: { total, verified, unverified, unsourced } }
+ */
+function verifyCitations(citations, retrievedChunks = [], { threshold = DEFAULT_VERIFICATION_THRESHOLD } = {}) {
+  const list = Array.isArray(citations) ? citations : [];
+  const chunksById = new Map(retrievedChunks.map(chunk => [normalizeId(chunk.id), chunk]));
+
+  const verified = list.map(citation => {
+    if (!citation || typeof citation !== 'object') return citation;
+
+    const chunk = chunksById.get(normalizeId(citation.id));
+    if (chunk) {
+      const similarity = snippetSimilarity(citation.snippet, chunk.text);
+      return {
+        ...citation,
+        verified: similarity >= threshold,
+        matchedChunkId: chunk.id,
+        similarity
+      };
+    }
+
+    const best = retrievedChunks
+      .map(candidate => ({ id: candidate.id, similarity: snippetSimilarity(citation.snippet, candidate.text) }))
+      .reduce((top, candidate) => (candidate.similarity > top.similarity ? candidate : top), { id: null, similarity: 0 });
+
+    return {
+      ...citation,
+      verified: false,
+      unsourced: true,
+      matchedChunkId: best.similarity >= threshold ? best.id : null,
+      similarity: best.similarity
+    };
+  });
+
+  const annotated = verified.filter(citation => citation && typeof citation === 'object');
+  const verifiedCount = annotated.filter(citation => citation.verified).length;
+
+  return {
+    citations: verified,
+    summary: {
+      total: annotated.length,
+      verified: verifiedCount,
+      unverified: annotated.length - verifiedCount,
+      unsourced: annotated.filter(citation => citation.unsourced).length
+    }
+  };
+}
+
+module.exports = {
+  verifyCitations,
+  snippetSimilarity,
+  DEFAULT_VERIFICATION_THRESHOLD
+};
@@ -0,0 +1,13 @@
+/**
+ * Helpers for reading numeric settings from the environment
+ */
+
+/**
+ * Reads a non-negative integer setting, allowing 0 (unlike `parseInt(...) || default`)
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+module.exports = { envInt };
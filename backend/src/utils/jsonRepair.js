@@ -0,0 +1,113 @@
+/**
+ * Local repairs for almost-JSON model output
+ *
+ * Fixes the mistakes models make most often without another model call:
+ * markdown code fences, prose around the object, trailing commas and output
+ * cut off mid-object by the token limit.
+ */
+
+/**
+ * Removes ```json ... ``` fences and any text before the first "{" or "["
+ */
+function stripFences(text) {
+  const fenced = text.match(/```(?:json|JSON)?\s*([\s\S]*?)(?:```|$)/);
+  const body = fenced ? fenced[1] : text;
+  const start = body.search(/[{[]/);
+  return start === -1 ? body.trim() : body.slice(start).trim();
+}
+
+/**
+ * Removes commas directly before a closing bracket, outside of strings
+ */
+function removeTrailingCommas(text) {
+  let result = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      result += char;
+      if (char === '\\') result += text[++i] || '';
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    if (char === ',' && /^\s*[}\]]/.test(text.slice(i + 1))) continue;
+    result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Closes an unterminated string and any arrays/objects left open by truncation,
+ * and drops text after the outermost value is complete
+ */
+function closeTruncated(text) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) return text.slice(0, i + 1);
+    }
+  }
+
+  if (stack.length === 0 && !inString) return text;
+
+  let repaired = inString ? `${text}"` : text;
+  // A value cut off after a key or comma cannot be completed, so drop the dangling part
+  repaired = repaired
+    .replace(/,\s*"[^"]*"\s*:\s*$/, '')
+    .replace(/,\s*"(?:[^"\\]|\\.)*"$/, match => (stack[stack.length - 1] === '}' ? '' : match))
+    .replace(/[,:]\s*$/, '');
+
+  return repaired + stack.reverse().join('');
+}
+
+const REPAIRS = [
+  ['strip_fences', stripFences],
+  ['remove_trailing_commas', removeTrailingCommas],
+  ['close_truncated', closeTruncated]
+];
+
+/**
+ * Applies local repairs in order until the text parses
+ * @param {string} text - Raw model output
+ * @returns {Object} { ok, data, repairs: names of the repairs applied } or { ok: false, error, repairs }
+ */
+function repairJSONLocally(text) {
+  let current = String(text || '');
+  const repairs = [];
+
+  for (const [name, repair] of REPAIRS) {
+    const next = repair(current);
+    if (next === current) continue;
+    current = next;
+    repairs.push(name);
+
+    try {
+      return { ok: true, data: JSON.parse(current), repairs };
+    } catch (e) {
+      // Try the next repair on top of this one
+    }
+  }
+
+  return { ok: false, error: 'Local JSON repair failed', repairs };
+}
+
+module.exports = {
+  repairJSONLocally,
+  stripFences,
+  removeTrailingCommas,
+  closeTruncated
+};
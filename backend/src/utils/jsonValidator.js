@@ -15,13 +15,79 @@ function safeParseJSONMaybe(text) {
       return { ok:false, error: 'No JSON found in model output' };
     }
   }
-  
-  function validateDebateSchema(obj) {
-    if (typeof obj !== 'object') return { ok:false, error:'Not an object' };
-    const has = k => obj[k] !== undefined;
-    if (!has('stance') || !has('counterStance') || !has('citations')) return { ok:false, error: 'Missing keys' };
-    return { ok:true };
+
+  const typeOf = value => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  };
+
+  const matchesType = (value, type) => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+  const countWords = text => text.trim().split(/\s+/).filter(Boolean).length;
+
+  const childPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+  /**
+   * Validates a value against the JSON Schema subset used by taskSchemas.js
+   * (type, required, properties, items, minItems, minLength, minimum, anyOf,
+   * plus the maxWords and indexWithin extensions)
+   * @returns {Array} Errors as { path, message }; path "" is the root object
+   */
+  function validateAgainstSchema(value, schema, path = '') {
+    if (schema.type && !matchesType(value, schema.type)) {
+      return [{ path, message: `expected ${schema.type}, got ${typeOf(value)}` }];
+    }
+
+    const errors = [];
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push({ path, message: 'must not be empty' });
+      }
+      if (schema.maxWords !== undefined && countWords(value) > schema.maxWords) {
+        errors.push({ path, message: `must be at most ${schema.maxWords} words (got ${countWords(value)})` });
+      }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path, message: `must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+      }
+      if (schema.items) {
+        value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, childPath(path, i))));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      (schema.required || [])
+        .filter(key => value[key] === undefined)
+        .forEach(key => errors.push({ path: childPath(path, key), message: 'is required' }));
+
+      Object.entries(schema.properties || {})
+        .filter(([key]) => value[key] !== undefined)
+        .forEach(([key, propertySchema]) => errors.push(...validateAgainstSchema(value[key], propertySchema, childPath(path, key))));
+
+      if (schema.anyOf && !schema.anyOf.some(option => validateAgainstSchema(value, option, path).length === 0)) {
+        const alternatives = schema.anyOf.map(option => (option.required || []).join(' + ')).join(' or ');
+        errors.push({ path, message: `must have ${alternatives}` });
+      }
+
+      Object.entries(schema.indexWithin || {}).forEach(([indexKey, arrayKey]) => {
+        const index = value[indexKey];
+        const list = value[arrayKey];
+        if (Number.isInteger(index) && Array.isArray(list) && index >= list.length) {
+          errors.push({ path: childPath(path, indexKey), message: `must be a valid index into ${arrayKey} (0-${list.length - 1}), got ${index}` });
+        }
+      });
+    }
+
+    return errors;
   }
-  
-  module.exports = { safeParseJSONMaybe, validateDebateSchema };
-  
\ No newline at end of file
+
+  module.exports = { safeParseJSONMaybe, validateAgainstSchema };
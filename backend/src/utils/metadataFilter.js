@@ -0,0 +1,159 @@
+/**
+ * Metadata filtering for corpus retrieval
+ *
+ * Restricts candidate chunks by their metadata before scoring, and detects
+ * explicit article references ("Article 110", "Art. 352") in free-text queries.
+ */
+
+const isText = value => typeof value === 'string';
+const isArticle = value => Number.isInteger(value) || (isText(value) && /^\d+[a-z]?$/i.test(value.trim()));
+const isYear = value => Number.isInteger(value) || (isText(value) && /^\d{1,4}$/.test(value.trim()));
+const isPart = value => Number.isInteger(value) || isText(value);
+
+// Filter keys, the values each accepts and whether a list of alternatives is allowed
+const FILTER_TYPES = {
+  article: { check: isArticle, expected: 'an article number such as 21 or "21A"', list: true },
+  part: { check: isPart, expected: 'a string or integer', list: true },
+  case: { check: isText, expected: 'a string', list: true },
+  year: { check: isYear, expected: 'a year such as 1973', list: true },
+  yearFrom: { check: isYear, expected: 'a year such as 1973', list: false },
+  yearTo: { check: isYear, expected: 'a year such as 1973', list: false },
+  topic: { check: isText, expected: 'a string', list: true },
+  source: { check: isText, expected: 'a string', list: true },
+  seventh_schedule: { check: isText, expected: 'a string', list: true }
+};
+
+const FILTER_KEYS = Object.keys(FILTER_TYPES);
+
+// Matches "Article 110", "article 21A", "Art. 352", "Art 368", "Articles 14"
+const ARTICLE_REFERENCE_PATTERN = /\b(?:articles?|art\.?)\s*(\d+[a-z]?)\b/gi;
+
+const normalize = value => String(value).trim().toLowerCase();
+const asList = value => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Checks whether a chunk covers an article, either directly (metadata.article)
+ * or through a range such as metadata.articles = "12-35"
+ */
+function coversArticle(metadata, article) {
+  const wanted = normalize(article);
+  if (metadata.article !== undefined && normalize(metadata.article) === wanted) return true;
+
+  if (metadata.articles !== undefined) {
+    const [from, to] = String(metadata.articles).split('-').map(part => parseInt(part, 10));
+    const number = parseInt(wanted, 10);
+    if (!Number.isNaN(from) && !Number.isNaN(number)) {
+      return number >= from && number <= (Number.isNaN(to) ? from : to);
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Checks a single filter value against its key's type
+ * @returns {string|null} Error message, or null when the value is usable
+ */
+function checkFilterValue(key, value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const { check, expected, list } = FILTER_TYPES[key];
+  if (Array.isArray(value)) {
+    if (!list) return `filters.${key} must be ${expected}, not a list`;
+    return value.every(check) ? null : `filters.${key} must contain only ${expected} values`;
+  }
+  return check(value) ? null : `filters.${key} must be ${expected}`;
+}
+
+/**
+ * Checks that a filters object only uses supported keys with values of the right type
+ * @param {Object} filters - Filters from the request body
+ * @returns {Object} { ok: true } or { ok: false, error, availableFilters }
+ */
+function validateFilters(filters) {
+  if (filters === null || filters === undefined) return { ok: true };
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return { ok: false, error: 'filters must be an object', availableFilters: FILTER_KEYS };
+  }
+
+  const unknown = Object.keys(filters).filter(key => !FILTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return {
+      ok: false,
+      error: `Unknown filter: ${unknown.join(', ')}. Available filters: ${FILTER_KEYS.join(', ')}`,
+      availableFilters: FILTER_KEYS
+    };
+  }
+
+  const errors = Object.entries(filters)
+    .map(([key, value]) => checkFilterValue(key, value))
+    .filter(Boolean);
+  if (errors.length > 0) {
+    return { ok: false, error: errors.join('; '), availableFilters: FILTER_KEYS };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Tests a chunk against every filter. A filter value may be a single value or a
+ * list of alternatives; all filters must match.
+ * @param {Object} chunk - Corpus chunk ({id, text, metadata})
+ * @param {Object} filters - e.g. { article: "368" }, { source: "Supreme Court Judgment", yearFrom: 1970 }
+ * @returns {boolean} True when the chunk satisfies all filters
+ */
+function matchesFilters(chunk, filters = {}) {
+  const metadata = chunk.metadata || {};
+
+  return Object.entries(filters).every(([key, value]) => {
+    if (value === null || value === undefined || value === '') return true;
+
+    switch (key) {
+      case 'article':
+        return asList(value).some(article => coversArticle(metadata, article));
+      case 'yearFrom':
+        return metadata.year !== undefined && parseInt(metadata.year, 10) >= Number(value);
+      case 'yearTo':
+        return metadata.year !== undefined && parseInt(metadata.year, 10) <= Number(value);
+      case 'case':
+      case 'topic':
+      case 'seventh_schedule':
+        // Free-text fields match on substring ("Kesavananda" finds the full case name)
+        return metadata[key] !== undefined &&
+          asList(value).some(wanted => normalize(metadata[key]).includes(normalize(wanted)));
+      default:
+        return metadata[key] !== undefined &&
+          asList(value).some(wanted => normalize(metadata[key]) === normalize(wanted));
+    }
+  });
+}
+
+/**
+ * Finds explicit article references in a query
+ * @param {string} query - Free-text query
+ * @returns {string[]} Unique article numbers, e.g. ["110", "352"]
+ */
+function detectArticleReferences(query) {
+  const articles = new Set();
+  for (const match of String(query || '').matchAll(ARTICLE_REFERENCE_PATTERN)) {
+    articles.add(match[1].toUpperCase());
+  }
+  return [...articles];
+}
+
+/**
+ * Checks whether a chunk mentions an article in its text
+ */
+function mentionsArticle(chunk, article) {
+  const pattern = new RegExp(`\\b(?:articles?|art\\.?)\\s*${article}\\b`, 'i');
+  return pattern.test(chunk.text || '');
+}
+
+module.exports = {
+  validateFilters,
+  matchesFilters,
+  detectArticleReferences,
+  coversArticle,
+  mentionsArticle,
+  FILTER_KEYS
+};
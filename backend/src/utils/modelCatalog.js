@@ -0,0 +1,91 @@
+/**
+ * Known model limits and prices, used to size prompts and responses per model
+ * and to cost each call in the usage ledger
+ *
+ * Models are matched by exact name first, then by the longest catalog name
+ * they start with, so "gemini-1.5-flash-002" uses the "gemini-1.5-flash" entry.
+ * Unknown models (e.g. local llama.cpp or Ollama models) get conservative
+ * limits and no price; LLM_CONTEXT_WINDOW and LLM_MAX_OUTPUT_TOKENS override the
+ * limits, and LLM_PRICES_FILE (JSON: { "<model>": { inputPerMillion,
+ * outputPerMillion } }) overrides or adds prices, matched the same way.
+ * Prices are USD per million tokens.
+ */
+
+const fs = require('fs');
+const { envInt } = require('./env');
+
+const MODEL_CATALOG = {
+  'gemini-1.5-flash': { contextWindow: 1048576, maxOutputTokens: 8192, inputPerMillion: 0.075, outputPerMillion: 0.3 },
+  'gemini-1.5-pro': { contextWindow: 2097152, maxOutputTokens: 8192, inputPerMillion: 1.25, outputPerMillion: 5 },
+  'gemini-2.0-flash': { contextWindow: 1048576, maxOutputTokens: 8192, inputPerMillion: 0.1, outputPerMillion: 0.4 },
+  'gemini-2.5-flash': { contextWindow: 1048576, maxOutputTokens: 65536, inputPerMillion: 0.3, outputPerMillion: 2.5 },
+  'gemini-2.5-pro': { contextWindow: 1048576, maxOutputTokens: 65536, inputPerMillion: 1.25, outputPerMillion: 10 },
+  'gpt-4o-mini': { contextWindow: 128000, maxOutputTokens: 16384, inputPerMillion: 0.15, outputPerMillion: 0.6 },
+  'gpt-4o': { contextWindow: 128000, maxOutputTokens: 16384, inputPerMillion: 2.5, outputPerMillion: 10 },
+  'gpt-4.1-mini': { contextWindow: 1047576, maxOutputTokens: 32768, inputPerMillion: 0.4, outputPerMillion: 1.6 },
+  'gpt-4.1': { contextWindow: 1047576, maxOutputTokens: 32768, inputPerMillion: 2, outputPerMillion: 8 },
+  mock: { contextWindow: 32768, maxOutputTokens: 8192, inputPerMillion: 0, outputPerMillion: 0 }
+};
+
+// Typical llama.cpp / Ollama default context
+const DEFAULT_MODEL_INFO = { contextWindow: 8192, maxOutputTokens: 2048 };
+
+/**
+ * Finds a model's entry in a table keyed by model name (exact, then longest prefix)
+ */
+function findModelEntry(table, name) {
+  if (table[name]) return table[name];
+  const prefix = Object.keys(table)
+    .filter(key => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+// Price overrides from LLM_PRICES_FILE, read on first use
+let priceOverrides;
+
+function getPriceOverrides() {
+  if (priceOverrides === undefined) {
+    const file = process.env.LLM_PRICES_FILE;
+    priceOverrides = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  }
+  return priceOverrides;
+}
+
+/**
+ * Returns the limits and price for a model
+ * @param {string} model - Model name as reported by the provider
+ * @returns {Object} { model, contextWindow, maxOutputTokens, inputPerMillion, outputPerMillion,
+ *   known, priced }; prices are null for models without one
+ */
+function getModelInfo(model) {
+  const name = String(model || '').replace(/^models\//, '');
+  const entry = findModelEntry(MODEL_CATALOG, name);
+  const info = entry || DEFAULT_MODEL_INFO;
+  const price = findModelEntry(getPriceOverrides(), name) || entry;
+  const priced = Boolean(price && price.inputPerMillion !== undefined);
+
+  return {
+    model: name,
+    contextWindow: envInt('LLM_CONTEXT_WINDOW', info.contextWindow),
+    maxOutputTokens: envInt('LLM_MAX_OUTPUT_TOKENS', info.maxOutputTokens),
+    inputPerMillion: priced ? price.inputPerMillion : null,
+    outputPerMillion: priced ? price.outputPerMillion : null,
+    known: Boolean(entry),
+    priced
+  };
+}
+
+/**
+ * Costs a call in USD from its token usage
+ * @returns {number|null} Cost, or null when the model has no price
+ */
+function estimateCost(model, usage) {
+  const { priced, inputPerMillion, outputPerMillion } = getModelInfo(model);
+  if (!priced) return null;
+  const input = (usage && usage.input) || 0;
+  const output = (usage && usage.output) || 0;
+  return (input * inputPerMillion + output * outputPerMillion) / 1e6;
+}
+
+module.exports = { getModelInfo, estimateCost, MODEL_CATALOG, DEFAULT_MODEL_INFO };
@@ -0,0 +1,56 @@
+/**
+ * Reads string fields out of JSON that is still being streamed, so the UI can
+ * show a field's text before the whole object has arrived
+ */
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Decodes a JSON string body from `start` until its closing quote or the end of
+ * the text; an escape sequence cut off by the end of the text is dropped
+ * @returns {Object} { value, complete }
+ */
+function readPartialString(text, start) {
+  let value = '';
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') return { value, complete: true };
+    if (ch !== '\\') {
+      value += ch;
+      continue;
+    }
+
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = text.slice(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      value += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      value += ESCAPES[next] ?? next;
+      i += 1;
+    }
+  }
+  return { value, complete: false };
+}
+
+/**
+ * Extracts the current value of top-level string fields from partial JSON
+ * @param {string} text - JSON received so far (may be wrapped in a ```json fence)
+ * @param {Array<string>} keys - Field names to read, e.g. ['stance', 'counterStance']
+ * @returns {Object} { [key]: { value, complete } } for the keys whose value has started
+ */
+function extractPartialStrings(text, keys) {
+  const fields = {};
+  keys.forEach(key => {
+    const escapedKey = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const match = new RegExp(`"${escapedKey}"\\s*:\\s*"`).exec(text);
+    if (match) {
+      fields[key] = readPartialString(text, match.index + match[0].length);
+    }
+  });
+  return fields;
+}
+
+module.exports = { extractPartialStrings };
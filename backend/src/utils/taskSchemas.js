@@ -0,0 +1,181 @@
+/**
+ * JSON Schemas for the structured output of each task type
+ *
+ * One schema per task the prompt engines produce (debate, analysis, comparison,
+ * explanation, quiz). Required fields are the ones every engine asks for; fields
+ * only some engines request are typed but optional.
+ *
+ * Two keywords extend standard JSON Schema:
+ * - maxWords: upper bound on the word count of a string
+ * - indexWithin: { indexProperty: arrayProperty } - the integer must be a valid index into the array
+ */
+
+// Prompts ask for stances of "150 words max"
+const STANCE_WORD_LIMIT = 150;
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const stringList = { type: 'array', items: nonEmptyString };
+
+const citation = {
+  type: 'object',
+  required: ['id', 'snippet'],
+  properties: {
+    id: nonEmptyString,
+    source: { type: 'string' },
+    snippet: nonEmptyString,
+    relevance: { type: 'string' },
+    unsourced: { type: 'boolean' }
+  }
+};
+
+// Engines disagree on "q" vs "question", so either is accepted
+const quizQuestion = {
+  type: 'object',
+  required: ['options', 'answerIndex'],
+  anyOf: [{ required: ['q'] }, { required: ['question'] }],
+  properties: {
+    q: nonEmptyString,
+    question: nonEmptyString,
+    options: { type: 'array', minItems: 2, items: nonEmptyString },
+    answerIndex: { type: 'integer', minimum: 0 },
+    explanation: { type: 'string' }
+  },
+  indexWithin: { answerIndex: 'options' }
+};
+
+const quizList = { type: 'array', minItems: 1, items: quizQuestion };
+
+const comparedConcept = {
+  type: 'object',
+  required: ['name', 'definition'],
+  properties: {
+    name: nonEmptyString,
+    definition: nonEmptyString,
+    constitutionalBasis: { type: 'string' },
+    keyFeatures: stringList
+  }
+};
+
+const TASK_SCHEMAS = {
+  debate: {
+    type: 'object',
+    required: ['stance', 'counterStance', 'citations', 'quiz'],
+    properties: {
+      stance: { ...nonEmptyString, maxWords: STANCE_WORD_LIMIT },
+      counterStance: { ...nonEmptyString, maxWords: STANCE_WORD_LIMIT },
+      citations: { type: 'array', minItems: 1, items: citation },
+      quiz: quizList,
+      keyTakeaways: stringList
+    }
+  },
+
+  analysis: {
+    type: 'object',
+    required: ['conceptDefinition', 'constitutionalBasis', 'keyPrinciples', 'summary'],
+    properties: {
+      conceptDefinition: nonEmptyString,
+      constitutionalBasis: nonEmptyString,
+      keyPrinciples: { ...stringList, minItems: 1 },
+      historicalContext: { type: 'string' },
+      currentRelevance: { type: 'string' },
+      implications: { type: 'string' },
+      challenges: { type: 'string' },
+      summary: nonEmptyString
+    }
+  },
+
+  comparison: {
+    type: 'object',
+    required: ['conceptA', 'conceptB', 'comparison', 'conclusion'],
+    properties: {
+      conceptA: comparedConcept,
+      conceptB: comparedConcept,
+      comparison: {
+        type: 'object',
+        required: ['similarities', 'differences'],
+        properties: {
+          similarities: stringList,
+          differences: { ...stringList, minItems: 1 },
+          relativeStrengths: { type: 'string' },
+          practicalImplications: { type: 'string' }
+        }
+      },
+      conclusion: nonEmptyString
+    }
+  },
+
+  explanation: {
+    type: 'object',
+    required: ['simpleDefinition', 'keyComponents', 'summary'],
+    properties: {
+      concept: { type: 'string' },
+      simpleDefinition: nonEmptyString,
+      detailedExplanation: { type: 'string' },
+      constitutionalBasis: { type: 'string' },
+      keyComponents: { ...stringList, minItems: 1 },
+      examples: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['scenario', 'explanation'],
+          properties: { scenario: { type: 'string' }, explanation: { type: 'string' } }
+        }
+      },
+      realWorldExample: { type: 'string' },
+      whyItMatters: { type: 'string' },
+      commonMisconceptions: stringList,
+      benefits: { type: 'string' },
+      challenges: { type: 'string' },
+      practicalApplications: { type: 'string' },
+      practicalImplications: { type: 'string' },
+      summary: nonEmptyString
+    }
+  },
+
+  quiz: {
+    type: 'object',
+    required: ['quiz'],
+    properties: {
+      quiz: quizList,
+      keyTakeaways: stringList
+    }
+  }
+};
+
+/**
+ * Converts a task schema into the subset of JSON Schema a provider's structured
+ * output accepts, dropping the keywords it does not know (including maxWords
+ * and indexWithin, which are still checked after parsing)
+ * @param {Object} schema - Task schema
+ * @param {Object} options - { keywords: keywords to keep, upperCaseTypes: "OBJECT" instead of
+ *   "object", propertyOrdering: list each object's properties in schema order }
+ * @returns {Object} Provider schema
+ */
+function toResponseSchema(schema, options) {
+  const { keywords, upperCaseTypes = false, propertyOrdering = false } = options;
+  const result = {};
+
+  keywords.filter(key => schema[key] !== undefined).forEach(key => {
+    const value = schema[key];
+    if (key === 'properties') {
+      result.properties = Object.fromEntries(Object.entries(value).map(([name, child]) => [name, toResponseSchema(child, options)]));
+    } else if (key === 'items') {
+      result.items = toResponseSchema(value, options);
+    } else if (key === 'anyOf') {
+      result.anyOf = value.map(option => toResponseSchema(option, options));
+    } else if (key === 'type' && upperCaseTypes) {
+      result.type = value.toUpperCase();
+    } else {
+      result[key] = value;
+    }
+  });
+
+  // Gemini orders properties alphabetically unless told otherwise, which would
+  // put citations before the stance
+  if (propertyOrdering && schema.properties) {
+    result.propertyOrdering = Object.keys(schema.properties);
+  }
+  return result;
+}
+
+module.exports = { TASK_SCHEMAS, STANCE_WORD_LIMIT, toResponseSchema };
@@ -0,0 +1,156 @@
+/**
+ * Token estimation and prompt budgeting
+ *
+ * Decides how many retrieved chunks, and how much of each, go into a prompt:
+ * 1. The input budget for chunks is the model's context window minus the
+ *    response allowance and the prompt template, capped at
+ *    PROMPT_CONTEXT_TOKENS so large-context models do not pay for text the
+ *    answer does not need
+ * 2. Chunks are ranked by retrieval score; the lowest-ranked are dropped when
+ *    the budget cannot give every chunk a useful minimum
+ * 3. The budget is shared out evenly: chunks shorter than their share are kept
+ *    whole and the remainder goes to the longer ones, which are cut at a
+ *    sentence or word boundary
+ *
+ * Token counts are estimates (about 4 characters per token for English, fewer
+ * for Devanagari); compare promptTokensEstimated with the provider's usage.input.
+ */
+
+const { envInt } = require('./env');
+const { getModelInfo } = require('./modelCatalog');
+
+const CHARS_PER_TOKEN = 4;
+// Non-Latin scripts such as Devanagari tokenize into far more tokens per character
+const NON_ASCII_CHARS_PER_TOKEN = 1.5;
+// Role markers and separators each message adds
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// "1) [article110] " and the blank line between chunks
+const CHUNK_OVERHEAD_TOKENS = 8;
+// Below this a chunk is too short to cite, so it is dropped instead
+const MIN_CHUNK_TOKENS = 60;
+// Room left for estimation error
+const SAFETY_MARGIN_TOKENS = 256;
+
+const DEFAULT_MAX_OUTPUT_TOKENS = 2048;
+
+/**
+ * Estimates the number of tokens in a text
+ */
+function estimateTokens(text) {
+  let ascii = 0;
+  let other = 0;
+  for (const ch of String(text || '')) {
+    if (ch.charCodeAt(0) < 128) ascii++;
+    else other++;
+  }
+  return Math.ceil(ascii / CHARS_PER_TOKEN + other / NON_ASCII_CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimates the prompt tokens of a message list
+ */
+function estimateMessagesTokens(messages) {
+  return (messages || []).reduce((sum, msg) => sum + estimateTokens(msg.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+/**
+ * Cuts text to at most maxTokens, preferring a sentence end, then a word boundary
+ */
+function truncateToTokens(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return text;
+
+  // Longest prefix within the budget
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (estimateTokens(text.slice(0, mid)) <= maxTokens) low = mid;
+    else high = mid - 1;
+  }
+  const prefix = text.slice(0, low);
+
+  const sentenceEnd = Math.max(prefix.lastIndexOf('. '), prefix.lastIndexOf('? '), prefix.lastIndexOf('! '));
+  if (sentenceEnd > prefix.length * 0.6) return prefix.slice(0, sentenceEnd + 1);
+  const wordEnd = prefix.lastIndexOf(' ');
+  return wordEnd > 0 ? prefix.slice(0, wordEnd) : prefix;
+}
+
+/**
+ * Resolves the response allowance for a model: the requested value (default
+ * 2048, at least 1), capped by the model's output limit and half its context window
+ */
+function resolveMaxOutputTokens(model, requested = null) {
+  const { contextWindow, maxOutputTokens } = getModelInfo(model);
+  const wanted = typeof requested === 'number' && Number.isFinite(requested) ? Math.max(1, requested) : DEFAULT_MAX_OUTPUT_TOKENS;
+  return Math.min(wanted, maxOutputTokens, Math.floor(contextWindow / 2));
+}
+
+/**
+ * Works out how many tokens of retrieved chunks a prompt for a model can hold
+ * @param {Object} options - { model, maxOutputTokens (requested), templateTokens (prompt without chunks) }
+ * @returns {Object} { model, contextWindow, maxOutputTokens, templateTokens, chunkBudget }
+ */
+function planPromptBudget({ model, maxOutputTokens = null, templateTokens = 0 }) {
+  const info = getModelInfo(model);
+  const resolvedMaxOutput = resolveMaxOutputTokens(model, maxOutputTokens);
+  const available = info.contextWindow - resolvedMaxOutput - templateTokens - SAFETY_MARGIN_TOKENS;
+
+  return {
+    model: info.model,
+    contextWindow: info.contextWindow,
+    maxOutputTokens: resolvedMaxOutput,
+    templateTokens,
+    chunkBudget: Math.max(0, Math.min(envInt('PROMPT_CONTEXT_TOKENS', 3000), available))
+  };
+}
+
+/**
+ * Fits chunks into a token budget (see the module comment)
+ * @param {Array} chunks - Retrieved chunks ({ id, text, score, ... })
+ * @param {number} budgetTokens - Tokens available for chunks
+ * @returns {Object} { chunks (ranked, text cut where needed, truncated flag), dropped (ids),
+ *   truncated (ids), usedTokens }
+ */
+function fitChunksToBudget(chunks, budgetTokens) {
+  // Stable sort, so chunks without scores keep their retrieval order
+  const ranked = [...chunks].sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+  const costs = ranked.map(chunk => estimateTokens(chunk.text) + CHUNK_OVERHEAD_TOKENS);
+
+  // Keep the most chunks that can each still get the minimum (or all of themselves)
+  let kept = ranked.length;
+  const minimumCost = count => costs.slice(0, count)
+    .reduce((sum, cost) => sum + Math.min(cost, MIN_CHUNK_TOKENS + CHUNK_OVERHEAD_TOKENS), 0);
+  while (kept > 0 && minimumCost(kept) > budgetTokens) kept--;
+
+  // Even shares, smallest chunks first so their leftovers go to the longer ones
+  const allowance = new Array(kept).fill(0);
+  let remaining = budgetTokens;
+  const bySize = [...Array(kept).keys()].sort((a, b) => costs[a] - costs[b]);
+  bySize.forEach((index, position) => {
+    const share = Math.floor(remaining / (kept - position));
+    allowance[index] = Math.min(costs[index], share);
+    remaining -= allowance[index];
+  });
+
+  const fitted = ranked.slice(0, kept).map((chunk, index) => {
+    if (allowance[index] >= costs[index]) return { ...chunk, truncated: false };
+    return { ...chunk, text: truncateToTokens(chunk.text, allowance[index] - CHUNK_OVERHEAD_TOKENS), truncated: true };
+  });
+
+  return {
+    chunks: fitted,
+    dropped: ranked.slice(kept).map(chunk => chunk.id),
+    truncated: fitted.filter(chunk => chunk.truncated).map(chunk => chunk.id),
+    usedTokens: fitted.reduce((sum, chunk) => sum + estimateTokens(chunk.text) + CHUNK_OVERHEAD_TOKENS, 0)
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  estimateMessagesTokens,
+  truncateToTokens,
+  resolveMaxOutputTokens,
+  planPromptBudget,
+  fitChunksToBudget,
+  DEFAULT_MAX_OUTPUT_TOKENS
+};
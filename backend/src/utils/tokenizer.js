@@ -0,0 +1,48 @@
+/**
+ * Tokenizer shared by the lexical and vector retrievers
+ */
+
+// Function words that carry no retrieval signal ("What is the role of the Speaker?")
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during',
+  'each', 'few', 'for', 'from', 'further',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself',
+  'me', 'more', 'most', 'my', 'no', 'nor', 'not', 'of', 'off', 'on', 'once', 'only', 'or', 'other',
+  'our', 'ours', 'out', 'over', 'own',
+  'same', 'she', 'should', 'so', 'some', 'such',
+  'than', 'that', 'the', 'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+  'through', 'to', 'too', 'under', 'until', 'up', 'very',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+  'would', 'you', 'your', 'yours',
+  'explain', 'describe', 'tell', 'define'
+]);
+
+/**
+ * Reduces simple English plurals to their singular form ("rights" -> "right", "powers" -> "power")
+ */
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') && !token.endsWith('us')) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+/**
+ * Splits text into normalized retrieval terms
+ * @param {string} text - Raw text
+ * @returns {string[]} Lowercased, stemmed terms with stopwords removed
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOPWORDS.has(token))
+    .map(stem);
+}
+
+module.exports = { tokenize, stem, STOPWORDS };
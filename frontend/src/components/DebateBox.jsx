@@ -1,7 +1,7 @@
 // frontend/src/components/DebateBox.jsx
 import React, { useState } from 'react';
 
-const DebateBox = ({ data }) => {
+const DebateBox = ({ data, isStreaming = false }) => {
   const [activeTab, setActiveTab] = useState('stance');
 
   if (!data) return null;
@@ -42,7 +42,7 @@ const DebateBox = ({ data }) => {
           <div className="content-section">
             <h3>Main Stance</h3>
             <div className="stance-content">
-              <p>{stance}</p>
+              <p>{stance}{isStreaming && <span className="streaming-cursor">▍</span>}</p>
             </div>
           </div>
         )}
@@ -51,7 +51,7 @@ const DebateBox = ({ data }) => {
           <div className="content-section">
             <h3>Counter-Stance</h3>
             <div className="counter-stance-content">
-              <p>{counterStance}</p>
+              <p>{counterStance}{isStreaming && <span className="streaming-cursor">▍</span>}</p>
             </div>
           </div>
         )}
@@ -73,6 +73,9 @@ const DebateBox = ({ data }) => {
                     {citation.unsourced && (
                       <span className="unsourced-badge">⚠️ Unverified</span>
                     )}
+                    {citation.verified && (
+                      <span className="verified-badge">✓ Verified ({Math.round(citation.similarity * 100)}% match)</span>
+                    )}
                   </div>
                 ))
               ) : (
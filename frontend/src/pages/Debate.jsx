@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import DebateBox from '../components/DebateBox';
+import { streamDebate, getSessionId } from '../services/api';
 import '../styles.css';
 
 const Debate = () => {
@@ -15,6 +16,8 @@ const Debate = () => {
   const [topP, setTopP] = useState(1.0);
   const [isLoading, setIsLoading] = useState(false);
   const [result, setResult] = useState(null);
+  const [streamed, setStreamed] = useState(null);
+  const [retrievedIds, setRetrievedIds] = useState([]);
   const [error, setError] = useState(null);
 
   const handleSubmit = async (e) => {
@@ -27,34 +30,33 @@ const Debate = () => {
     setIsLoading(true);
     setError(null);
     setResult(null);
+    setStreamed(null);
+    setRetrievedIds([]);
 
     try {
-      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000'}/api/debate/generate`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
+      // Stance and counter-stance fill in as tokens arrive; the final event
+      // carries the parsed and validated response
+      await streamDebate(
+        {
           query: query.trim(),
           proficiency,
           topK: parseInt(topK),
           useCoT,
-
           useZeroShot,
-          taskType,
+          // Only zero-shot writes other task types; chain-of-thought and dynamic reject them
+          taskType: useZeroShot ? taskType : 'debate',
           useDynamicPrompting,
           temperature: parseFloat(temperature),
           top_p: parseFloat(topP)
-        }),
-      });
-
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.error || 'Failed to generate debate');
-      }
-
-      setResult(data);
+        },
+        (event, data) => {
+          if (event === 'retrieval') setRetrievedIds(data.chunkIds);
+          if (event === 'delta') setStreamed(data.fields);
+          if (event === 'final') setResult(data);
+          if (event === 'error') throw new Error(data.error || 'Failed to generate debate');
+        },
+        { baseUrl: import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000', sessionId: getSessionId() }
+      );
     } catch (err) {
       setError(err.message);
     } finally {
@@ -147,9 +149,7 @@ const Debate = () => {
                   type="checkbox"
                   checked={useCoT}
                   onChange={(e) => setUseCoT(e.target.checked)}
-
                   disabled={useZeroShot}
-
                 />
                 <span className="checkmark"></span>
                 Enable Chain-of-Thought Reasoning
@@ -163,7 +163,6 @@ const Debate = () => {
               <label className="checkbox-label">
                 <input
                   type="checkbox"
-
                   checked={useZeroShot}
                   onChange={(e) => setUseZeroShot(e.target.checked)}
                 />
@@ -172,16 +171,22 @@ const Debate = () => {
               </label>
               <small className="help-text">
                 Zero-shot prompting performs tasks without examples or training data
+              </small>
+            </div>
 
+            <div className="form-group checkbox-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
                   checked={useDynamicPrompting}
                   onChange={(e) => setUseDynamicPrompting(e.target.checked)}
+                  disabled={useZeroShot}
                 />
                 <span className="checkmark"></span>
                 Enable Dynamic Prompting
               </label>
               <small className="help-text">
                 Dynamic prompting adapts prompts based on query complexity and user proficiency
-
               </small>
             </div>
           </div>
@@ -214,56 +219,67 @@ const Debate = () => {
           <div className="error-message">
             <h3>❌ Error</h3>
             <p>{error}</p>
-            {error.includes('Rate limit') && (
-              <div style={{ marginTop: '10px', padding: '10px', background: '#fff3cd', border: '1px solid #ffeaa7', borderRadius: '4px' }}>
-                <strong>💡 Demo Mode Active:</strong> The API is currently rate limited, but you can still see how the system works. 
-                Try queries like "What is the Basic Structure Doctrine?" or "How does the Indian Constitution define Money Bills?" 
-                for demo responses.
-              </div>
-            )}
           </div>
         )}
 
-        {result && (
+        {isLoading && retrievedIds.length > 0 && (
+          <div className="stream-status">
+            📚 Retrieved {retrievedIds.length} chunks: {retrievedIds.join(', ')}
+          </div>
+        )}
+
+        {(result || streamed) && (
           <div className="result-section">
             <h2>📊 Generation Results</h2>
-            <div className="metadata">
-              <div className="metadata-item">
-                <strong>Tokens Used:</strong> {result.metadata?.tokens?.total || 'N/A'}
-              </div>
-              <div className="metadata-item">
-                <strong>Citations Retrieved:</strong> {result.metadata?.retrievedChunks || 0}
-              </div>
-              <div className="metadata-item">
-                <strong>Prompting Strategy:</strong> {result.metadata?.promptingStrategy || 'N/A'}
+            {result?.metadata?.degraded && (
+              <div className="degraded-notice">
+                <strong>⚠️ Fallback response:</strong> the AI service was unavailable ({result.metadata.degradedReason}),
+                so this answer comes from the <code>{result.metadata.provider}</code> fallback provider, not the requested model.
               </div>
+            )}
+            {result && (
+              <div className="metadata">
+                <div className="metadata-item">
+                  <strong>Tokens Used:</strong> {result.metadata?.tokens?.total || 'N/A'}
+                </div>
+                <div className="metadata-item">
+                  <strong>Citations Retrieved:</strong> {result.metadata?.retrievedChunks || 0}
+                </div>
+                <div className="metadata-item">
+                  <strong>Prompting Strategy:</strong> {result.metadata?.promptingStrategy || 'N/A'}
+                </div>
+                {result.metadata?.cache && (
+                  <div className="metadata-item">
+                    <strong>Cache:</strong> {result.metadata.cache.status === 'hit'
+                      ? `Hit (${result.metadata.cache.ageSeconds}s old)`
+                      : result.metadata.cache.status}
+                  </div>
+                )}
 
-              {result.metadata?.promptingStrategy === 'zero-shot' && (
-                <>
+                {result.metadata?.promptingStrategy === 'zero-shot' && (
+                  <>
+                    <div className="metadata-item">
+                      <strong>Task Type:</strong> {result.metadata?.taskType || 'N/A'}
+                    </div>
+                    <div className="metadata-item">
+                      <strong>Output Format:</strong> {result.metadata?.outputFormat || 'N/A'}
+                    </div>
+                  </>
+                )}
+                {result.metadata?.promptingStrategy === 'chain-of-thought' && (
                   <div className="metadata-item">
-                    <strong>Task Type:</strong> {result.metadata?.taskType || 'N/A'}
+                    <strong>CoT Enabled:</strong> {result.metadata?.useCoT ? 'Yes' : 'No'}
                   </div>
+                )}
+                {result.metadata?.promptingStrategy === 'dynamic' && result.metadata?.complexity && (
                   <div className="metadata-item">
-                    <strong>Output Format:</strong> {result.metadata?.outputFormat || 'N/A'}
+                    <strong>Query Complexity:</strong> {result.metadata.complexity.level || 'N/A'}
                   </div>
-                </>
-              )}
-              {result.metadata?.promptingStrategy === 'chain-of-thought' && (
-                <div className="metadata-item">
-                  <strong>CoT Enabled:</strong> {result.metadata?.useCoT ? 'Yes' : 'No'}
-
-              <div className="metadata-item">
-                <strong>Dynamic Prompting:</strong> {result.metadata?.dynamicPrompting ? 'Yes' : 'No'}
+                )}
               </div>
-              {result.metadata?.dynamicPrompting && result.metadata?.dynamicMetadata && (
-                <div className="metadata-item">
-                  <strong>Query Complexity:</strong> {result.metadata.dynamicMetadata.complexity?.level || 'N/A'}
+            )}
 
-                </div>
-              )}
-            </div>
-            
-            <DebateBox data={result.data} />
+            <DebateBox data={result ? result.data : streamed} isStreaming={!result} />
           </div>
         )}
       </div>
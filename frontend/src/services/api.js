@@ -7,4 +7,100 @@ export async function generateDebate(body) {
     });
     return resp.json();
   }
-  
\ No newline at end of file
+
+// Id of this browser tab's session, kept until the tab closes. Sent as
+// X-Session-Id so experiment variants stay the same across requests
+export function getSessionId() {
+    let sessionId = sessionStorage.getItem('civicscoach-session-id');
+    if (!sessionId) {
+      sessionId = crypto.randomUUID();
+      sessionStorage.setItem('civicscoach-session-id', sessionId);
+    }
+    return sessionId;
+  }
+
+// Streams /api/debate/generate/stream, calling onEvent(event, data) for each
+// Server-Sent Event (retrieval, delta, final, error) until the stream ends
+export async function streamDebate(body, onEvent, { baseUrl = '', sessionId } = {}) {
+    const resp = await fetch(`${baseUrl}/api/debate/generate/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(sessionId ? { 'X-Session-Id': sessionId } : {}) },
+      body: JSON.stringify(body)
+    });
+
+    // Invalid requests are rejected with plain JSON before the stream starts
+    if (!resp.ok) {
+      const data = await resp.json();
+      throw new Error(data.error || 'Failed to generate debate');
+    }
+
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (block) => {
+      let event = 'message';
+      const dataLines = [];
+      block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      });
+      if (dataLines.length > 0) onEvent(event, JSON.parse(dataLines.join('\n')));
+    };
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach(dispatch);
+    }
+    if (buffer.trim()) dispatch(buffer);
+  }
+
+export async function listArticles(params = {}) {
+    const resp = await fetch(`/api/articles?${new URLSearchParams(params)}`);
+    return resp.json();
+  }
+
+export async function searchArticles(q, params = {}) {
+    const resp = await fetch(`/api/articles/search?${new URLSearchParams({ q, ...params })}`);
+    return resp.json();
+  }
+
+export async function getArticle(id) {
+    const resp = await fetch(`/api/articles/${encodeURIComponent(id)}`);
+    return resp.json();
+  }
+
+// The temperature, Top P and Top K a generate body resolves to, with the steps behind each
+export async function resolveConfig(body) {
+    const resp = await fetch('/api/config/resolve', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return resp.json();
+  }
+
+export async function getPresets() {
+    const resp = await fetch('/api/config/presets');
+    return resp.json();
+  }
+
+// Prompting strategies generateDebate accepts as body.strategy, with their task types
+export async function getStrategies() {
+    const resp = await fetch('/api/debate/strategies');
+    return resp.json();
+  }
+
+// Rates a response served in an experiment (metadata.experiment.requestId), from 1 to 5
+export async function rateResponse(requestId, rating) {
+    const resp = await fetch('/api/experiments/ratings', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ requestId, rating })
+    });
+    return resp.json();
+  }